@@ -1,19 +1,520 @@
+import { METER_TYPES, MeterWorkflow } from './meter-workflow.js';
+import { request, isRetryableError, BadResponseError, HttpStatusError } from './http-client.js';
+import { reconcileReadings } from './ocr-consensus.js';
+import { ReadingHistory } from './reading-history.js';
+import { getImageExtension } from './image-encoder.js';
+import { normalizeRooms } from './rooms.js';
+import { t } from './i18n.js';
+
+// Images travel as Blobs (see image-encoder.js). Base64 strings from older callers
+// are decoded natively, once, by fetching them as a data URL.
+async function toImageBlob(image) {
+    if (image instanceof Blob) return image;
+
+    if (typeof image === 'string') {
+        const dataUrl = image.startsWith('data:') ? image : `data:image/jpeg;base64,${image}`;
+        return (await fetch(dataUrl)).blob();
+    }
+
+    return new Blob([image], { type: "image/jpeg" });
+}
+
+// Quota errors differ per browser (Safari private mode reports a quota of 0)
+function isQuotaError(error) {
+    return error instanceof DOMException && (
+        error.name === 'QuotaExceededError'
+        || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+        || error.code === 22
+        || error.code === 1014
+    );
+}
+
+// When a stored record was last written; records from before versionOf existed use their capture time
+function versionOf(record) {
+    return record ? (record.updatedAt || record.timestamp || record.startedAt || 0) : 0;
+}
+
+// "YYYY-MM" of a date
+function getPeriod(date = new Date()) {
+    const value = new Date(date);
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}`;
+}
+
 // ==================== STORAGE SERVICE ====================
+// A single-unit session keeps one slot per meter type. With rooms (see useRoom)
+// every room has its own slots, and the meter methods act on the active room.
+//
+// With a cloud backend (useCloud) readings, the session and the room and link
+// state are mirrored to Telegram CloudStorage and merged on start (syncFromCloud);
+// localStorage stays the store every read goes to.
+//
+// The layout is versioned (SCHEMA_VERSION). Data written by an older version is
+// upgraded by MIGRATIONS on start (see migrate); bump the version and add a
+// migration whenever stored records change shape.
 class MeterStorageService {
+    static SCHEMA_VERSION = 2;
+    static VERSION_KEY = 'meter_schema_version'; // Outside STORAGE_KEYS: survives clearAll
+
     // Storage keys
     static STORAGE_KEYS = {
         CHAT_ID: 'meter_chat_id',
-        WATER_DATA: 'meter_water_data',
-        ELECTRICITY_DATA: 'meter_electricity_data'
+        SESSION: 'meter_session',
+        ROOMS: 'meter_rooms',
+        ACTIVE_ROOM: 'meter_active_room',
+        SUBMITTED_ROOMS: 'meter_submitted_rooms',
+        LINK_CONTEXT: 'meter_link_context',
+        STATE_VERSIONS: 'meter_state_versions'
     };
 
-    // Save water meter data
-    static saveWaterData(ocrResponse, imageUrl, meterType = 'water') {
-        // Log the raw OCR response for debugging
-        // logger.log('saveWaterData - Raw OCR response:', ocrResponse);
-        // logger.log('saveWaterData - Reading value:', ocrResponse.reading);
-        // logger.log('saveWaterData - Reading type:', typeof ocrResponse.reading);
+    // Room and link state that syncs with the readings, as stored (see saveState)
+    static SYNCED_STATE = [
+        this.STORAGE_KEYS.ROOMS,
+        this.STORAGE_KEYS.ACTIVE_ROOM,
+        this.STORAGE_KEYS.SUBMITTED_ROOMS,
+        this.STORAGE_KEYS.LINK_CONTEXT
+    ];
+
+    // When an unfinished session counts as stale, see getStaleReason
+    static SESSION_POLICY = {
+        maxAgeDays: Number(import.meta.env?.VITE_SESSION_MAX_AGE_DAYS) || 7,
+        expireOnNewPeriod: import.meta.env?.VITE_SESSION_EXPIRE_ON_NEW_PERIOD !== 'false'
+    };
+
+    // Telegram CloudStorage mirror (see cloud-storage.js), null for this device only
+    static cloud = null;
+
+    // Reading fields that sync between devices; debug data (rawOCR) stays local
+    static SYNC_FIELDS = [
+        'meter', 'accuracy', 'imageUrl', 'timestamp', 'updatedAt', 'meterType',
+        'source', 'edited', 'ocrReading', 'override', 'confidenceCheck'
+    ];
+
+    /**
+     * Upgrades from the version before the key. Each runs once, in order.
+     */
+    static MIGRATIONS = {
+        // v1 stored a photo without a reading as "0.00", which is not a reading: drop those
+        // so the meter is recaptured. v1 had no session record either: date an unfinished
+        // session by its oldest remaining reading.
+        2: () => {
+            this.getRecordKeys().forEach(key => {
+                const record = this.readJSON(key);
+                if (record?.meter === '0.00' && !record.rawOCR?.reading) localStorage.removeItem(key);
+            });
+
+            const timestamps = this.getRecordKeys()
+                .map(key => this.readJSON(key)?.timestamp)
+                .filter(Number.isFinite);
+
+            if (timestamps.length > 0 && localStorage.getItem(this.STORAGE_KEYS.CHAT_ID)) {
+                const startedAt = Math.min(...timestamps);
+                this.writeJSON(this.STORAGE_KEYS.SESSION, { startedAt, period: getPeriod(startedAt) });
+            }
+        }
+    };
+
+    // ----- Schema -----
+
+    /**
+     * Bring stored data up to SCHEMA_VERSION. Data that cannot be migrated is
+     * dropped rather than resumed half-understood.
+     * @returns {number} Version the data was at
+     */
+    static migrate() {
+        const stored = Number(localStorage.getItem(this.VERSION_KEY));
+        // Unversioned data predates versioning (v1); no data at all needs no migration
+        const from = stored || (this.getRecordKeys().length > 0 || this.getChatId() ? 1 : this.SCHEMA_VERSION);
+
+        try {
+            for (let version = from + 1; version <= this.SCHEMA_VERSION; version++) {
+                if (this.MIGRATIONS[version]) this.MIGRATIONS[version]();
+            }
+        } catch (error) {
+            this.clearAll();
+        }
+
+        localStorage.setItem(this.VERSION_KEY, String(this.SCHEMA_VERSION));
+        return from;
+    }
+
+    // Keys of all meter slots, every room included
+    static getRecordKeys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (/^meter_.+_data$/.test(key)) keys.push(key);
+        }
+        return keys;
+    }
+
+    /**
+     * Parse a stored value. Corrupt JSON is removed and reads as `fallback`.
+     */
+    static readJSON(key, fallback = null) {
+        const data = localStorage.getItem(key);
+        if (data === null) return fallback;
+
+        try {
+            return JSON.parse(data);
+        } catch (error) {
+            localStorage.removeItem(key);
+            return fallback;
+        }
+    }
+
+    /**
+     * Store a value. When the quota is full, debug data (rawOCR) is dropped and
+     * the write tried once more.
+     */
+    static writeJSON(key, value) {
+        this.writeItem(key, JSON.stringify(value));
+        return value;
+    }
+
+    static writeItem(key, data) {
+        try {
+            localStorage.setItem(key, data);
+        } catch (error) {
+            if (!isQuotaError(error) || this.trimDebugData() === 0) throw error;
+            localStorage.setItem(key, data);
+        }
+    }
+
+    // Remove the raw OCR responses kept for debugging; returns how many records shrank
+    static trimDebugData() {
+        let trimmed = 0;
+
+        this.getRecordKeys().forEach(key => {
+            const record = this.readJSON(key);
+            if (!record || record.rawOCR === undefined) return;
+
+            delete record.rawOCR;
+            localStorage.setItem(key, JSON.stringify(record)); // Smaller than before, fits
+            trimmed++;
+        });
+
+        return trimmed;
+    }
+
+    // ----- Session -----
+
+    // { startedAt, period } of the session in progress, null when there is none
+    static getSession() {
+        return this.readJSON(this.STORAGE_KEYS.SESSION);
+    }
+
+    /**
+     * Start the session clock, or restart it for a session the user chose to keep
+     * @param {string} period - Billing period "YYYY-MM", the current month by default
+     */
+    static startSession(period = getPeriod()) {
+        const session = this.writeJSON(this.STORAGE_KEYS.SESSION, { startedAt: Date.now(), period });
+        this.pushSession();
+        return session;
+    }
+
+    /**
+     * Continue a stale session the user chose to keep: the age clock restarts and
+     * the billing period it was kept in no longer counts as a new one
+     * @param {string} period - Billing period now, as passed to getStaleReason
+     */
+    static keepSession(period = getPeriod()) {
+        const session = this.writeJSON(this.STORAGE_KEYS.SESSION, {
+            ...this.getSession(), startedAt: Date.now(), keptInPeriod: period
+        });
+        this.pushSession();
+        return session;
+    }
+
+    /**
+     * Why an unfinished session should not be resumed without asking:
+     * 'age' (older than SESSION_POLICY.maxAgeDays) or 'period' (another billing period)
+     * @param {Object} options
+     * @param {string} options.period - Billing period now, e.g. from a deep link; the current month by default
+     * @returns {'age'|'period'|null} null without a session or when it is fresh
+     */
+    static getStaleReason({ period = getPeriod(), now = Date.now() } = {}) {
+        const session = this.getSession();
+        if (!session || !this.getChatId()) return null;
+
+        const { maxAgeDays, expireOnNewPeriod } = this.SESSION_POLICY;
+        if (expireOnNewPeriod && session.period && session.period !== period && session.keptInPeriod !== period) {
+            return 'period';
+        }
+        if (now - session.startedAt > maxAgeDays * 24 * 60 * 60 * 1000) return 'age';
+        return null;
+    }
+
+    // Room whose slots the meter methods use, null for a single-unit session
+    static room = null;
+
+    // Meter data lives under meter_<type>_data, e.g. meter_water_data,
+    // or meter_room_<room>_<type>_data for a room
+    static getMeterKey(meterType, room = this.room) {
+        return room
+            ? `meter_room_${encodeURIComponent(room)}_${meterType}_data`
+            : `meter_${meterType}_data`;
+    }
+
+    // ----- Cloud sync -----
+
+    /**
+     * Mirror the session to another store, e.g. a CloudStorageBackend. Without
+     * one, or while it fails, the session lives in this device's localStorage only.
+     */
+    static useCloud(backend) {
+        this.cloud = backend || null;
+    }
+
+    // Best effort: a write the cloud misses is pushed again by the next syncFromCloud
+    static pushToCloud(key, value) {
+        if (!this.cloud) return;
+        this.cloud.setItem(key, value).catch(() => {
+            // localStorage still has it
+        });
+    }
+
+    // Lightweight copy of a reading for the cloud
+    static toCloudRecord(record) {
+        const copy = {};
+        this.SYNC_FIELDS.forEach(field => {
+            if (record[field] !== undefined) copy[field] = record[field];
+        });
+        return copy;
+    }
+
+    // Removed records leave a dated marker so other devices drop their copy too
+    static pushDeleted(key) {
+        this.pushToCloud(key, { deleted: true, updatedAt: Date.now() });
+    }
+
+    // When each piece of SYNCED_STATE last changed on this device
+    static getStateVersions() {
+        const versions = this.readJSON(this.STORAGE_KEYS.STATE_VERSIONS, {});
+        return versions && typeof versions === 'object' ? versions : {};
+    }
+
+    /**
+     * Write a SYNCED_STATE item and mirror it. `data` is the raw stored string,
+     * null removes the item. Unchanged values keep their version.
+     */
+    static saveState(key, data) {
+        if (localStorage.getItem(key) === data) return;
+
+        if (data === null) {
+            localStorage.removeItem(key);
+        } else {
+            this.writeItem(key, data);
+        }
+
+        const updatedAt = Date.now();
+        this.writeJSON(this.STORAGE_KEYS.STATE_VERSIONS, { ...this.getStateVersions(), [key]: updatedAt });
+        this.pushToCloud(key, { data, updatedAt });
+    }
+
+    // The session travels with the chat ID, which a device opening it midway lacks
+    static pushSession() {
+        const session = this.getSession();
+        if (session) this.pushToCloud(this.STORAGE_KEYS.SESSION, { ...session, chatId: this.getChatId() });
+    }
 
+    /**
+     * Merge the session in the cloud with this device's. The newer side of every
+     * reading and SYNCED_STATE item wins (versionOf): newer cloud copies replace
+     * local ones, newer local ones are pushed. A session cleared elsewhere
+     * (submitted or started over) drops everything written before it ended.
+     * @returns {Promise<boolean>} Whether local data changed
+     */
+    static async syncFromCloud() {
+        if (!this.cloud) return false;
+
+        let remote;
+        try {
+            remote = await this.cloud.getItems('meter_');
+        } catch (error) {
+            return false; // Offline or unsupported: carry on with local data
+        }
+
+        let changed = false;
+        const sessionKey = this.STORAGE_KEYS.SESSION;
+        const cloudSession = remote.get(sessionKey);
+        const localSession = this.getSession();
+        const endedAt = cloudSession?.deleted ? versionOf(cloudSession) : 0;
+
+        if (versionOf(cloudSession) > versionOf(localSession)) {
+            if (cloudSession.deleted) {
+                if (localSession) changed = true;
+                localStorage.removeItem(sessionKey);
+            } else {
+                const { chatId, ...session } = cloudSession;
+                if (chatId && !this.getChatId()) localStorage.setItem(this.STORAGE_KEYS.CHAT_ID, chatId);
+                this.writeJSON(sessionKey, session);
+                changed = true;
+            }
+        } else if (versionOf(localSession) > versionOf(cloudSession)) {
+            this.pushSession();
+        }
+
+        const stale = [];
+        const versions = this.getStateVersions();
+
+        this.SYNCED_STATE.forEach(key => {
+            const cloudState = remote.get(key);
+            const localVersion = versions[key] || 0;
+            remote.delete(key);
+
+            if (Math.max(versionOf(cloudState), localVersion) < endedAt) {
+                if (localStorage.getItem(key) !== null) changed = true;
+                localStorage.removeItem(key);
+                if (cloudState) stale.push(key);
+            } else if (versionOf(cloudState) > localVersion) {
+                if (cloudState.data === null) {
+                    localStorage.removeItem(key);
+                } else {
+                    this.writeItem(key, cloudState.data);
+                }
+                versions[key] = cloudState.updatedAt;
+                changed = true;
+            } else if (localVersion > versionOf(cloudState)) {
+                this.pushToCloud(key, { data: localStorage.getItem(key), updatedAt: localVersion });
+            }
+        });
+        this.writeJSON(this.STORAGE_KEYS.STATE_VERSIONS, versions);
+
+        const keys = new Set([...remote.keys(), ...this.getRecordKeys()]);
+        keys.delete(sessionKey);
+
+        keys.forEach(key => {
+            const cloudRecord = remote.get(key);
+            const localRecord = this.readJSON(key);
+            // Queued placeholders wait for this device's outbox and are not shared
+            const local = localRecord?.queued ? null : localRecord;
+
+            if (Math.max(versionOf(cloudRecord), versionOf(local)) < endedAt) {
+                if (localRecord) changed = true;
+                localStorage.removeItem(key);
+                if (cloudRecord) stale.push(key);
+            } else if (versionOf(cloudRecord) > versionOf(localRecord)) {
+                if (cloudRecord.deleted) {
+                    if (localRecord) changed = true;
+                    localStorage.removeItem(key);
+                } else {
+                    this.writeJSON(key, cloudRecord);
+                    changed = true;
+                }
+            } else if (local && versionOf(local) > versionOf(cloudRecord)) {
+                this.pushToCloud(key, this.toCloudRecord(local));
+            }
+        });
+
+        // Deletion markers only matter to devices that still hold the old session
+        const maxAge = this.SESSION_POLICY.maxAgeDays * 24 * 60 * 60 * 1000;
+        remote.forEach((value, key) => {
+            if (value.deleted && Date.now() - versionOf(value) > maxAge && !stale.includes(key)) stale.push(key);
+        });
+        this.cloud.removeItems(stale).catch(() => {
+            // Tried again next time
+        });
+
+        return changed;
+    }
+
+    // ----- Deep link -----
+
+    // Context of the link the session was opened with, see start-param.js
+    static saveLinkContext(context) {
+        this.saveState(this.STORAGE_KEYS.LINK_CONTEXT, JSON.stringify(context));
+        return context;
+    }
+
+    static removeLinkContext() {
+        this.saveState(this.STORAGE_KEYS.LINK_CONTEXT, null);
+    }
+
+    static getLinkContext() {
+        return this.readJSON(this.STORAGE_KEYS.LINK_CONTEXT);
+    }
+
+    // ----- Rooms -----
+
+    /**
+     * Rooms of this session
+     * @param {Array<{id: string, label: string}>} rooms
+     */
+    static saveRooms(rooms) {
+        this.saveState(this.STORAGE_KEYS.ROOMS, JSON.stringify(rooms));
+        return rooms;
+    }
+
+    static getRooms() {
+        const rooms = this.readJSON(this.STORAGE_KEYS.ROOMS, []);
+        return Array.isArray(rooms) ? rooms : [];
+    }
+
+    // Switch the meter slots to a room (remembered for the next launch)
+    static useRoom(room) {
+        this.room = room || null;
+        this.saveState(this.STORAGE_KEYS.ACTIVE_ROOM, this.room);
+        return this.room;
+    }
+
+    static getActiveRoom() {
+        return localStorage.getItem(this.STORAGE_KEYS.ACTIVE_ROOM);
+    }
+
+    /**
+     * Run `work` against another room's slots, e.g. for a job queued in that room.
+     * Storage calls are synchronous, so the active room is back before anything else runs.
+     */
+    static inRoom(room, work) {
+        const previous = this.room;
+        this.room = room || null;
+        try {
+            return work();
+        } finally {
+            this.room = previous;
+        }
+    }
+
+    static markRoomSubmitted(room) {
+        const submitted = this.getSubmittedRooms();
+        if (!submitted.includes(room)) {
+            this.saveState(this.STORAGE_KEYS.SUBMITTED_ROOMS, JSON.stringify([...submitted, room]));
+        }
+    }
+
+    static getSubmittedRooms() {
+        const submitted = this.readJSON(this.STORAGE_KEYS.SUBMITTED_ROOMS, []);
+        return Array.isArray(submitted) ? submitted : [];
+    }
+
+    static isRoomSubmitted(room) {
+        return this.getSubmittedRooms().includes(room);
+    }
+
+    // Remove one room's readings (after it was submitted)
+    static clearRoom(room, meters = METER_TYPES) {
+        meters.forEach(meter => {
+            this.removeRecord(this.getMeterKey(meter.type, room));
+        });
+    }
+
+    static saveRecord(meterType, data) {
+        const key = this.getMeterKey(meterType);
+        this.writeJSON(key, data);
+        if (!data.queued) this.pushToCloud(key, this.toCloudRecord(data));
+        return data;
+    }
+
+    static removeRecord(key) {
+        if (localStorage.getItem(key) !== null) this.pushDeleted(key);
+        localStorage.removeItem(key);
+    }
+
+    // Save meter data
+    // `review` is the user's decision from the review screen: { reading, edited, override, confidenceCheck }
+    // A missing reading is an error, never stored as zero
+    static saveMeterData(meterType, ocrResponse, imageUrl, review = null) {
         // Extract data from OCR response
         // Use reading_confidence first, fallback to meter_confidence
         const readingConfidence = ocrResponse.reading_confidence !== undefined
@@ -21,10 +522,13 @@ class MeterStorageService {
             : (ocrResponse.meter_confidence || 0);
 
         // IMPORTANT: Keep reading as exact string from OCR, don't convert
-        const reading = ocrResponse.reading ? String(ocrResponse.reading) : "0.00";
+        const ocrReading = ocrResponse.reading ? String(ocrResponse.reading) : "";
+        const edited = !!(review && review.edited);
+        const reading = edited ? String(review.reading) : ocrReading;
 
-        // logger.log('saveWaterData - Extracted reading:', reading);
-        // logger.log('saveWaterData - Reading confidence:', readingConfidence);
+        if (!reading) {
+            throw new Error(`No ${meterType} reading to save`);
+        }
 
         // Format accuracy to 4 decimal places as string
         const accuracy = readingConfidence.toFixed(4);
@@ -32,101 +536,148 @@ class MeterStorageService {
         const data = {
             meter: reading,                       // Keep as string exactly as received
             accuracy: accuracy,                   // Already string with 4 decimals
+            edited: edited,                       // True when the user corrected the OCR value
+            override: review?.override || null,   // Plausibility warning the user saved through
+            confidenceCheck: review?.confidenceCheck || null, // 'passed' | 'recaptured' | 'confirmed' | 'unreviewed'
+            source: 'ocr',
+            ocrReading: ocrReading,
             imageUrl: imageUrl,
             meterType: meterType,
             timestamp: Date.now(),
             rawOCR: ocrResponse // Store raw response for debugging
         };
 
-        // logger.log('saveWaterData - Final data to save:', data);
-        localStorage.setItem(this.STORAGE_KEYS.WATER_DATA, JSON.stringify(data));
-        // logger.log('Water data saved successfully');
-        return data;
+        return this.saveRecord(meterType, data);
     }
 
-    // Save electricity meter data
-    static saveElectricityData(ocrResponse, imageUrl, meterType = 'electricity') {
-        // Log the raw OCR response for debugging
-        // logger.log('saveElectricityData - Raw OCR response:', ocrResponse);
-        // logger.log('saveElectricityData - Reading value:', ocrResponse.reading);
-        // logger.log('saveElectricityData - Reading type:', typeof ocrResponse.reading);
-
-        // Extract data from OCR response
-        // Use reading_confidence first, fallback to meter_confidence
-        const readingConfidence = ocrResponse.reading_confidence !== undefined
-            ? ocrResponse.reading_confidence
-            : (ocrResponse.meter_confidence || 0);
-
-        // IMPORTANT: Keep reading as exact string from OCR, don't convert
-        const reading = ocrResponse.reading ? String(ocrResponse.reading) : "0.00";
-
-        // logger.log('saveElectricityData - Extracted reading:', reading);
-        // logger.log('saveElectricityData - Reading confidence:', readingConfidence);
+    // Reading typed in by the user; there is no OCR value or confidence
+    static saveManualData(meterType, reading, imageUrl, review = null) {
+        const data = {
+            meter: String(reading),
+            accuracy: "",
+            edited: false,
+            override: review?.override || null,
+            source: 'manual',
+            ocrReading: "",
+            imageUrl: imageUrl,
+            meterType: meterType,
+            timestamp: Date.now()
+        };
 
-        // Format accuracy to 4 decimal places as string
-        const accuracy = readingConfidence.toFixed(4);
+        return this.saveRecord(meterType, data);
+    }
 
+    // Placeholder for a capture whose OCR is waiting in the outbox
+    static saveQueuedMeter(meterType) {
         const data = {
-            meter: reading,                       // Keep as string exactly as received
-            accuracy: accuracy,                   // Already string with 4 decimals
-            imageUrl: imageUrl,
+            meter: "",
+            accuracy: "",
+            edited: false,
+            ocrReading: "",
+            imageUrl: "",
             meterType: meterType,
             timestamp: Date.now(),
-            rawOCR: ocrResponse
+            queued: true
         };
 
-        // logger.log('saveElectricityData - Final data to save:', data);
-        localStorage.setItem(this.STORAGE_KEYS.ELECTRICITY_DATA, JSON.stringify(data));
-        // logger.log('Electricity data saved successfully');
-        return data;
+        return this.saveRecord(meterType, data);
     }
 
-    // Save chat ID
+    static removeMeterData(meterType) {
+        this.removeRecord(this.getMeterKey(meterType));
+    }
+
+    // Merge changes into an existing meter record (e.g. an image URL that uploaded later)
+    static updateMeterData(meterType, changes) {
+        const current = this.getMeterData(meterType);
+        if (!current) return null;
+
+        const data = { ...current, ...changes, updatedAt: Date.now() };
+        return this.saveRecord(meterType, data);
+    }
+
+    // Save chat ID; the first save starts the session clock
     static saveChatId(chatId) {
         localStorage.setItem(this.STORAGE_KEYS.CHAT_ID, chatId.toString());
+        if (!this.getSession()) {
+            this.startSession(this.getLinkContext()?.period || getPeriod());
+        }
         return chatId;
     }
 
-    // Get stored data
-    static getWaterData() {
-        const data = localStorage.getItem(this.STORAGE_KEYS.WATER_DATA);
-        return data ? JSON.parse(data) : null;
-    }
-
-    static getElectricityData() {
-        const data = localStorage.getItem(this.STORAGE_KEYS.ELECTRICITY_DATA);
-        return data ? JSON.parse(data) : null;
+    // Get stored data; a corrupt record reads as not captured
+    static getMeterData(meterType) {
+        const data = this.readJSON(this.getMeterKey(meterType));
+        return data && typeof data === 'object' ? data : null;
     }
 
     static getChatId() {
         return localStorage.getItem(this.STORAGE_KEYS.CHAT_ID);
     }
 
-    // Check if both meters are completed
-    static isComplete() {
-        return this.getWaterData() && this.getElectricityData() && this.getChatId();
+    // Check if every meter in the workflow is completed
+    static isComplete(meters = METER_TYPES) {
+        return !!this.getChatId() && meters.every(meter => this.getMeterData(meter.type));
     }
 
-    // Clear all data
-    static clearAll() {
+    // Clear all data, every room included
+    static clearAll(meters = METER_TYPES) {
+        this.getRooms().forEach(({ id }) => this.clearRoom(id, meters));
+        // Other devices drop every reading older than the marker, see syncFromCloud
+        if (this.getSession()) this.pushDeleted(this.STORAGE_KEYS.SESSION);
         Object.values(this.STORAGE_KEYS).forEach(key => {
             localStorage.removeItem(key);
         });
+        meters.forEach(meter => {
+            this.removeRecord(this.getMeterKey(meter.type, null));
+        });
+        this.room = null;
     }
 }
 
 // ==================== API SERVICE ====================
 export class ApiService {
-    constructor() {
+    /**
+     * @param {Array} meters - Meter types of the workflow
+     * @param {Object} options
+     * @param {string} options.initData - Raw Telegram WebApp initData, sent with every request
+     */
+    constructor(meters = METER_TYPES, { initData = '' } = {}) {
         const env = import.meta.env || {};
 
         // Separate URLs for different services
         this.OCR_API_URL = env.VITE_OCR_API_URL || env.VITE_API_URL;
         this.IMAGE_UPLOAD_API = env.VITE_UPLOAD_URL;
         this.NOTIFICATION_API = env.VITE_NOTIFICATION_API || env.VITE_MAIN_BACKEND_URL;
+        this.ROOMS_API = env.VITE_ROOMS_API; // Optional: rooms a caretaker reads, see fetchRooms
+
+        // Per-endpoint timeout (ms) and retry policy, see http-client.js
+        this.REQUEST_POLICIES = {
+            ocr: { label: 'OCR request', timeout: 30000, retries: 2, retryDelay: 1000 },
+            upload: { label: 'Image upload', timeout: 30000, retries: 2, retryDelay: 1000 },
+            notification: { label: 'Notification', timeout: 15000, retries: 2, retryDelay: 1500 },
+            rooms: { label: 'Room list', timeout: 15000, retries: 1, retryDelay: 1000 }
+        };
+
+        // Multi-frame OCR consensus: frames sent per capture and the lowest share of
+        // confidence that must agree on every digit. Off (1 frame) unless configured:
+        // every extra frame is another OCR request, each carrying an image over mobile
+        // data (only the best frame is uploaded for storage).
+        this.CONSENSUS = {
+            frames: Number(env.VITE_OCR_CONSENSUS_FRAMES) || 1,
+            minAgreement: 0.6
+        };
 
         // Initialize storage
         this.storage = MeterStorageService;
+        this.history = ReadingHistory;
+        this.meters = meters;
+
+        // Signed by Telegram; the backend verifies its HMAC and takes the chat from it
+        this.initData = initData;
+
+        // Optional offline outbox, see useOutbox()
+        this.outbox = null;
 
         // logger.log(`API Services initialized:
         //   OCR: ${this.OCR_API_URL}
@@ -134,62 +685,62 @@ export class ApiService {
         //   Notification API: ${this.NOTIFICATION_API}`);
     }
 
+    /**
+     * Headers for every request. initData goes in Authorization as "tma <initData>".
+     */
+    getHeaders(headers = {}) {
+        const result = { "ngrok-skip-browser-warning": "true", ...headers };
+        if (this.initData) {
+            result["Authorization"] = `tma ${this.initData}`;
+        }
+        return result;
+    }
+
+    /**
+     * Rooms this chat reads meters for, from VITE_ROOMS_API.
+     * Accepts [{ id, label }], { rooms: [...] } or { data: [...] }; [] when not configured.
+     * @param {AbortSignal} options.signal - Cancels the request
+     */
+    async fetchRooms({ signal = null } = {}) {
+        if (!this.ROOMS_API) return [];
+
+        const result = await request(this.ROOMS_API, {
+            method: "GET",
+            headers: this.getHeaders({ "Accept": "application/json" })
+        }, { ...this.REQUEST_POLICIES.rooms, signal });
+
+        const list = Array.isArray(result) ? result : (result?.rooms || result?.data);
+        if (!Array.isArray(list)) {
+            throw new BadResponseError(this.REQUEST_POLICIES.rooms.label, 'no room list found');
+        }
+        return normalizeRooms(list);
+    }
+
     /**
      * Send image to OCR API for meter reading
      * UPDATED to handle new response format
+     * @param {Blob|string} image - Encoded image, or Base64 from older callers
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the request
      */
-    async sendDetectionRequest(image) {
+    async sendDetectionRequest(image, { signal = null } = {}) {
         if (!image) {
             // logger.error("No image provided to API");
             throw new Error("No image provided");
         }
 
-        // logger.log("API: Sending to OCR for meter reading...");
-
-        try {
-            let imageBlob = image;
-
-            // Convert Base64 string to Blob if necessary
-            if (typeof image === 'string') {
-                const base64Data = image.includes(',') ? image.split(',')[1] : image;
-                const byteCharacters = atob(base64Data);
-                const byteNumbers = new Array(byteCharacters.length);
-                for (let i = 0; i < byteCharacters.length; i++) {
-                    byteNumbers[i] = byteCharacters.charCodeAt(i);
-                }
-                const byteArray = new Uint8Array(byteNumbers);
-                imageBlob = new Blob([byteArray], { type: "image/jpeg" });
-            } else if (!(image instanceof Blob)) {
-                imageBlob = new Blob([image], { type: "image/jpeg" });
-            }
-
-            const formData = new FormData();
-            formData.append("image", imageBlob, "meter.jpg");
+        const blob = await toImageBlob(image);
+        const formData = new FormData();
+        formData.append("image", blob, `meter.${getImageExtension(blob)}`);
 
-            const response = await fetch(this.OCR_API_URL, {
-                method: "POST",
-                headers: {
-                    "ngrok-skip-browser-warning": "true"
-                },
-                body: formData
-            });
-
-            if (!response.ok) {
-                const errText = await response.text();
-                // logger.error(`OCR API Failed: ${response.status} - ${errText}`);
-                throw new Error(`OCR Request failed: ${response.status}`);
-            }
+        const result = await request(this.OCR_API_URL, {
+            method: "POST",
+            headers: this.getHeaders(),
+            body: formData
+        }, { ...this.REQUEST_POLICIES.ocr, signal });
 
-            const result = await response.json();
-            // logger.log("OCR API Response:", result);
-
-            // Format the new response structure
-            return this.formatOCRResponse(result);
-
-        } catch (error) {
-            // logger.error(`OCR API Error: ${error.message}`);
-            throw error;
-        }
+        // Format the new response structure
+        return this.formatOCRResponse(result);
     }
 
     /**
@@ -207,13 +758,20 @@ export class ApiService {
         // logger.log('formatOCRResponse - Reading from API:', data.reading);
         // logger.log('formatOCRResponse - Reading confidence from API:', data.reading_confidence);
 
+        // No reading is a failed read, not a zero
+        const reading = data.reading !== undefined && data.reading !== null && String(data.reading).trim() !== ''
+            ? String(data.reading).trim()
+            : null;
+
         // Format the response
         const formatted = {
-            success: true,
-            reading: data.reading || "0.00",
+            success: reading !== null,
+            reading: reading,
             reading_confidence: data.reading_confidence || 0,
             meter_confidence: data.meter_confidence || 0,
             meter_type: data.meter_type || 'unknown',
+            // Bounding boxes for the overlay: [{ box: [x, y, w, h], label, text }]
+            detections: data.detections || apiResult.detections || [],
             raw: apiResult  // Keep original response for debugging
         };
 
@@ -224,318 +782,586 @@ export class ApiService {
     /**
      * Upload image to storage service
      * FIXED: Better response validation and error handling
+     * @param {AbortSignal} options.signal - Cancels the request
      */
-    async uploadImageToStorage(image, chatId, meterType = 'water') {
+    async uploadImageToStorage(image, chatId, meterType = 'water', { signal = null } = {}) {
         if (!image || !chatId) {
             throw new Error('Image and chatId are required');
         }
 
-        // logger.log(`Uploading ${meterType} image for chat ${chatId}...`);
-
-        try {
-            let imageBlob = image;
-
-            // Convert Base64 to Blob if needed
-            if (typeof image === 'string') {
-                const base64Data = image.includes(',') ? image.split(',')[1] : image;
-                const byteCharacters = atob(base64Data);
-                const byteNumbers = new Array(byteCharacters.length);
-                for (let i = 0; i < byteCharacters.length; i++) {
-                    byteNumbers[i] = byteCharacters.charCodeAt(i);
-                }
-                const byteArray = new Uint8Array(byteNumbers);
-                imageBlob = new Blob([byteArray], { type: "image/jpeg" });
-            } else if (!(image instanceof Blob)) {
-                imageBlob = new Blob([image], { type: "image/jpeg" });
-            }
-
-            const formData = new FormData();
-            formData.append("image", imageBlob, `${meterType}_meter_${Date.now()}.jpg`);
-
-            const response = await fetch(this.IMAGE_UPLOAD_API, {
-                method: "POST",
-                headers: {
-                    "ngrok-skip-browser-warning": "true"
-                },
-                body: formData
-            });
+        const blob = await toImageBlob(image);
+        const formData = new FormData();
+        formData.append("image", blob, `${meterType}_meter_${Date.now()}.${getImageExtension(blob)}`);
 
-            if (!response.ok) {
-                const errText = await response.text();
-                // logger.error(`Image upload failed: ${response.status} - ${errText}`);
-                throw new Error(`Image upload failed: ${response.status}`);
-            }
+        const result = await request(this.IMAGE_UPLOAD_API, {
+            method: "POST",
+            headers: this.getHeaders(),
+            body: formData
+        }, { ...this.REQUEST_POLICIES.upload, signal });
 
-            const result = await response.json();
-            // logger.log("Upload API Full Response:", result);
+        // FIXED: Properly extract URL from various response formats
+        let imageUrl = null;
 
-            // FIXED: Properly extract URL from various response formats
-            let imageUrl = null;
+        // Try direct url field
+        if (result.url) {
+            imageUrl = result.url;
+        }
+        // Try nested data.url
+        else if (result.data && result.data.url) {
+            imageUrl = result.data.url;
+        }
+        // Try path field (some APIs return path instead of url)
+        else if (result.path && this.IMAGE_UPLOAD_API) {
+            // Construct full URL from path if needed
+            const baseUrl = new URL(this.IMAGE_UPLOAD_API).origin;
+            imageUrl = result.path.startsWith('http') ? result.path : `${baseUrl}${result.path.startsWith('/') ? '' : '/'}${result.path}`;
+        }
 
-            // Try direct url field
-            if (result.url) {
-                imageUrl = result.url;
-            }
-            // Try nested data.url
-            else if (result.data && result.data.url) {
-                imageUrl = result.data.url;
-            }
-            // Try path field (some APIs return path instead of url)
-            else if (result.path && this.IMAGE_UPLOAD_API) {
-                // Construct full URL from path if needed
-                const baseUrl = new URL(this.IMAGE_UPLOAD_API).origin;
-                imageUrl = result.path.startsWith('http') ? result.path : `${baseUrl}${result.path.startsWith('/') ? '' : '/'}${result.path}`;
-            }
+        // Validate that we got a URL
+        if (!imageUrl) {
+            throw new BadResponseError(this.REQUEST_POLICIES.upload.label, 'no URL found');
+        }
 
-            // Validate that we got a URL
-            if (!imageUrl) {
-                // logger.error('No URL found in upload response:', result);
-                throw new Error('Invalid response from image upload service: No URL found');
-            }
+        return imageUrl;
+    }
 
-            // logger.log(`Image uploaded successfully: ${imageUrl}`);
-            return imageUrl;
+    /**
+     * Run OCR and upload the image without saving anything.
+     * The caller saves the result once the user has reviewed the reading.
+     * The result carries everything the UI needs (reading, confidence, detections),
+     * so the image is sent to OCR exactly once per capture. The same Blob is used
+     * for OCR and upload, so it is never re-encoded or decoded in between.
+     */
+    async processMeterImage(image, chatId, meterType, { signal = null } = {}) {
+        image = await toImageBlob(image);
+        const ocrResponse = await this.sendDetectionRequest(image, { signal });
 
-        } catch (error) {
-            // logger.error(`Image upload error: ${error.message}`);
-            throw error;
+        // Nothing readable: ask for another photo, nothing is uploaded
+        if (!ocrResponse.reading) {
+            return { meterType, needsRecapture: true, consensus: null, readings: [] };
         }
+        const { imageUrl, uploadQueued } = await this.uploadOrQueue(image, chatId, meterType, signal);
+
+        return {
+            meterType: meterType,
+            meterValue: ocrResponse.reading,
+            accuracy: ocrResponse.reading_confidence || ocrResponse.meter_confidence || 0,
+            detections: ocrResponse.detections,
+            image: image,
+            imageUrl: imageUrl,
+            uploadQueued: uploadQueued,
+            ocrResponse: ocrResponse
+        };
     }
 
     /**
-     * Process water meter and save to storage
+     * OCR consensus: read several frames of the same meter and reconcile them
+     * digit by digit. Only the best frame is uploaded. When the frames disagree
+     * too much nothing is uploaded and the result has needsRecapture: true.
+     * @param {Array<Blob|string>} images - Frames, sharpest first
      */
-    async processAndSaveWaterMeter(imageBase64, chatId) {
-        try {
-            // logger.log(`Processing water meter for chat ${chatId}...`);
+    async processMeterImages(images, chatId, meterType, { signal = null } = {}) {
+        if (images.length === 1) {
+            return this.processMeterImage(images[0], chatId, meterType, { signal });
+        }
 
-            // 1. Save chat ID first
-            this.storage.saveChatId(chatId);
+        const settled = await Promise.allSettled(images.map(image => this.sendDetectionRequest(image, { signal })));
+        const reads = settled
+            .map((outcome, index) => ({ ...outcome, image: images[index] }))
+            .filter(outcome => outcome.status === 'fulfilled');
 
-            // 2. Send to OCR
-            const ocrResponse = await this.sendDetectionRequest(imageBase64);
-            // logger.log('Water OCR Response:', ocrResponse);
+        if (reads.length === 0) {
+            throw settled[0].reason;
+        }
 
-            // 3. Upload image
-            const imageUrl = await this.uploadImageToStorage(imageBase64, chatId, 'water');
-            // logger.log('Water Image URL:', imageUrl);
+        const consensus = reconcileReadings(
+            reads.map(({ value }) => ({ reading: value.reading, confidence: value.reading_confidence })),
+            { minAgreement: this.CONSENSUS.minAgreement }
+        );
+        const readings = reads.map(({ value }) => value.reading).filter(Boolean);
 
-            // 4. Save water data to storage
-            const savedData = this.storage.saveWaterData(ocrResponse, imageUrl, 'water');
+        if (!consensus.agreed) {
+            return { meterType, needsRecapture: true, consensus, readings };
+        }
 
-            // 5. Verify storage
-            const storedData = this.storage.getWaterData();
-            // logger.log('Water data after saving:', storedData);
+        // Best frame: the most confident one that read the agreed value
+        const agreeing = reads.filter(({ value }) => value.reading === consensus.reading);
+        const best = (agreeing.length > 0 ? agreeing : reads)
+            .reduce((a, b) => (b.value.reading_confidence > a.value.reading_confidence ? b : a));
 
-            return {
-                success: true,
-                message: "Water meter processed and saved",
-                meterValue: ocrResponse.reading,
-                accuracy: ocrResponse.reading_confidence || ocrResponse.meter_confidence,
-                imageUrl: imageUrl,
-                ocrResponse: ocrResponse,
-                storedData: savedData,
-                nextStep: "electricity"
-            };
+        const ocrResponse = {
+            ...best.value,
+            reading: consensus.reading,
+            reading_confidence: consensus.confidence,
+            consensus: { agreement: consensus.agreement, frames: consensus.frames, readings }
+        };
+
+        const { imageUrl, uploadQueued } = await this.uploadOrQueue(best.image, chatId, meterType, signal);
+
+        return {
+            meterType: meterType,
+            meterValue: ocrResponse.reading,
+            accuracy: ocrResponse.reading_confidence,
+            detections: ocrResponse.detections,
+            image: best.image,
+            imageUrl: imageUrl,
+            uploadQueued: uploadQueued,
+            ocrResponse: ocrResponse,
+            consensus: consensus
+        };
+    }
 
+    // An upload that fails while offline is queued; its URL is filled in later
+    async uploadOrQueue(image, chatId, meterType, signal) {
+        try {
+            const imageUrl = await this.uploadImageToStorage(image, chatId, meterType, { signal });
+            return { imageUrl, uploadQueued: false };
         } catch (error) {
-            // logger.error(`Water meter processing failed: ${error.message}`);
-            throw error;
+            if (!this.canQueue(error)) throw error;
+            await this.outbox.enqueue('upload', {
+                meterType, chatId, room: this.storage.room, image: await toImageBlob(image)
+            });
+            return { imageUrl: "", uploadQueued: true };
         }
     }
 
     /**
-     * Process electricity meter and save to storage
+     * Save a reviewed reading produced by processMeterImage
+     * @param {Object} processed - Result of processMeterImage
+     * @param {Object} review - { reading, edited, override } from the review screen
      */
-    async processAndSaveElectricityMeter(imageBase64) {
-        try {
-            // Get chat ID from storage
-            const chatId = this.storage.getChatId();
-            if (!chatId) {
-                throw new Error("Chat ID not found. Please process water meter first.");
-            }
-
-            // logger.log(`Processing electricity meter for chat ${chatId}...`);
-
-            // 1. Send to OCR
-            const ocrResponse = await this.sendDetectionRequest(imageBase64);
-            // logger.log('Electricity OCR Response:', ocrResponse);
-
-            // 2. Upload image
-            const imageUrl = await this.uploadImageToStorage(imageBase64, chatId, 'electricity');
-            // logger.log('Electricity Image URL:', imageUrl);
-
-            // 3. Save electricity data to storage
-            const savedData = this.storage.saveElectricityData(ocrResponse, imageUrl, 'electricity');
-
-            // 4. Verify storage
-            const storedData = this.storage.getElectricityData();
-            // logger.log('Electricity data after saving:', storedData);
-
-            return {
-                success: true,
-                message: "Electricity meter processed and saved",
-                meterValue: ocrResponse.reading,
-                accuracy: ocrResponse.reading_confidence || ocrResponse.meter_confidence,
-                imageUrl: imageUrl,
-                ocrResponse: ocrResponse,
-                storedData: savedData,
-                bothComplete: this.storage.isComplete()
-            };
+    saveReviewedReading(processed, review) {
+        const { meterType, ocrResponse, imageUrl } = processed;
+        return this.storage.saveMeterData(meterType, ocrResponse, imageUrl, review);
+    }
 
-        } catch (error) {
-            // logger.error(`Electricity meter processing failed: ${error.message}`);
-            throw error;
-        }
+    /**
+     * Save a reading the user typed in. The photo is still uploaded (or queued) as evidence.
+     * @param {Object} review - { reading, override } from the review screen
+     */
+    async saveManualReading(meterType, image, chatId, review, { signal = null } = {}) {
+        const { imageUrl } = await this.uploadOrQueue(image, chatId, meterType, signal);
+        return this.storage.saveManualData(meterType, review.reading, imageUrl, review);
     }
 
     /**
      * Build final payload from stored data
+     * Each meter contributes <type>_meter, <type>_accuracy, <type>_image,
+     * <type>_edited, <type>_ocr_meter, <type>_override, <type>_confidence_check and <type>_source.
+     * In a room session the result also carries room_id. A session opened from a
+     * deep link adds its billing period and the raw start_param, whose signature
+     * the backend checks.
+     * @param {string|null} room - Room to read, the active room by default
      */
-    buildFinalPayloadFromStorage() {
+    buildFinalPayloadFromStorage(room = this.storage.room) {
+        return { result: this.storage.inRoom(room, () => this.buildRoomResult(room)) };
+    }
+
+    /**
+     * Payload for several rooms in one request: { results: [<result per room>] }
+     * @param {string[]} rooms
+     */
+    buildBatchPayloadFromStorage(rooms) {
+        return { results: rooms.map(room => this.buildFinalPayloadFromStorage(room).result) };
+    }
+
+    buildRoomResult(room) {
         const chatId = this.storage.getChatId();
-        const waterData = this.storage.getWaterData();
-        const electricityData = this.storage.getElectricityData();
 
         if (!chatId) {
             throw new Error("Chat ID not found in storage");
         }
 
-        // Build the payload in the EXACT required format
         // Laravel expects: { result: { ... } }
-        const payload = {
-            result: {
-                chat_id: chatId.toString(),
-                water_meter: waterData?.meter || "0.00",
-                water_accuracy: waterData?.accuracy || "0.0000",
-                electricity_meter: electricityData?.meter || "0.00",
-                electricity_accuracy: electricityData?.accuracy || "0.0000",
-                water_image: waterData?.imageUrl || "",
-                electricity_image: electricityData?.imageUrl || ""
-            }
-        };
+        const result = { chat_id: chatId.toString() };
+        if (room) result.room_id = room;
+
+        const link = this.storage.getLinkContext();
+        if (link) {
+            if (link.period) result.period = link.period;
+            result.start_param = link.raw;
+        }
 
-        // logger.log("Final payload built from storage:", payload);
-        return payload;
+        this.meters.forEach(({ type }) => {
+            const data = this.storage.getMeterData(type);
+
+            result[`${type}_meter`] = data?.meter || "";
+            result[`${type}_accuracy`] = data?.accuracy || "";
+            result[`${type}_image`] = data?.imageUrl || "";
+            // Edited readings were corrected by the user; *_ocr_meter keeps what OCR read
+            result[`${type}_edited`] = !!data?.edited;
+            result[`${type}_ocr_meter`] = data?.source === 'manual' ? "" : (data?.ocrReading || data?.meter || "");
+            // Plausibility warning ('format', 'lower', 'jump') the tenant confirmed, "" when none
+            result[`${type}_override`] = data?.override || "";
+            // How a reading below the meter's minConfidence got through: 'recaptured' or 'confirmed'
+            result[`${type}_confidence_check`] = data?.confidenceCheck || "";
+            // 'ocr', or 'manual' when the tenant typed the reading (accuracy is then empty)
+            result[`${type}_source`] = data?.source || "ocr";
+        });
+
+        // logger.log("Final payload built from storage:", result);
+        return result;
     }
 
     /**
      * Submit final payload from stored data
+     * Storage is only cleared once the backend confirms receipt. While offline
+     * the submission is queued and resolves with { success: false, queued: true }.
+     * @param {AbortSignal} options.signal - Cancels the request
      */
-    async submitFromStorage() {
+    async submitFromStorage({ signal = null } = {}) {
+        const room = this.storage.room;
+
+        // 1. Build final payload from storage
+        const finalPayload = this.buildFinalPayloadFromStorage(room);
+
+        // Captures still waiting in the outbox must reach the backend first
+        if (await this.countPending() > 0) {
+            return this.queueSubmission(finalPayload, [room]);
+        }
+
+        // 2. Send notification
+        let notificationResponse;
         try {
-            // 1. Build final payload from storage
-            const finalPayload = this.buildFinalPayloadFromStorage();
+            notificationResponse = await this.sendNotification(finalPayload, { signal });
+        } catch (error) {
+            if (!this.canQueue(error)) throw error;
+            return this.queueSubmission(finalPayload, [room]);
+        }
 
-            // logger.log('Sending notification with payload:', finalPayload);
+        // 3. Keep the readings in history and clear storage after confirmed submission
+        this.completeSubmission([finalPayload.result]);
 
-            // 2. Send notification
-            const notificationResponse = await this.sendNotification(finalPayload);
+        return {
+            success: true,
+            message: "Meter readings submitted successfully",
+            payload: finalPayload.result, // Return inner result for UI display
+            notificationResponse: notificationResponse,
+            fullPayload: finalPayload
+        };
+    }
 
-            // 3. Clear storage after successful submission
-            // logger.log('✅ Notification sent successfully. Clearing storage...');
-            this.storage.clearAll();
-            // logger.log('✅ Storage cleared successfully');
+    /**
+     * Submit every complete room in one request (see buildBatchPayloadFromStorage).
+     * Storage and offline queueing work as in submitFromStorage.
+     * @param {string[]} rooms - Rooms to submit; incomplete ones are skipped
+     * @param {AbortSignal} options.signal - Cancels the request
+     */
+    async submitRooms(rooms, { signal = null } = {}) {
+        const complete = rooms.filter(room => this.storage.inRoom(room, () => this.storage.isComplete(this.meters)));
 
-            // Verify storage was cleared
-            const verifyCleared = {
-                chatId: this.storage.getChatId(),
-                waterData: this.storage.getWaterData(),
-                electricityData: this.storage.getElectricityData()
-            };
-            // logger.log('Storage state after clearing:', verifyCleared);
+        if (complete.length === 0) {
+            throw new Error(t('errors.noCompleteRooms'));
+        }
 
-            return {
-                success: true,
-                message: "Meter readings submitted successfully",
-                payload: finalPayload.result, // Return inner result for UI display
-                notificationResponse: notificationResponse,
-                fullPayload: finalPayload
-            };
+        const finalPayload = this.buildBatchPayloadFromStorage(complete);
 
+        if (await this.countPending() > 0) {
+            return this.queueSubmission(finalPayload, complete);
+        }
+
+        let notificationResponse;
+        try {
+            notificationResponse = await this.sendNotification(finalPayload, { signal });
         } catch (error) {
-            throw error;
+            if (!this.canQueue(error)) throw error;
+            return this.queueSubmission(finalPayload, complete);
         }
+
+        this.completeSubmission(finalPayload.results);
+
+        return {
+            success: true,
+            message: "Meter readings submitted successfully",
+            rooms: complete,
+            payloads: finalPayload.results,
+            notificationResponse: notificationResponse,
+            fullPayload: finalPayload
+        };
+    }
+
+    /**
+     * After a confirmed submission: record history and clear what was sent.
+     * A submitted room is marked as such; once every room is, the session ends.
+     * @param {Object[]} results - Inner results of buildFinalPayloadFromStorage
+     */
+    completeSubmission(results) {
+        results.forEach(result => {
+            this.recordSubmission(result);
+
+            if (result.room_id) {
+                this.storage.clearRoom(result.room_id, this.meters);
+                this.storage.markRoomSubmitted(result.room_id);
+            }
+        });
+
+        const rooms = this.storage.getRooms();
+        if (!results[0]?.room_id || rooms.every(({ id }) => this.storage.isRoomSubmitted(id))) {
+            this.storage.clearAll(this.meters);
+        }
+    }
+
+    // Whether a submission of these rooms (null: the single-unit session) went through
+    isSubmitted(rooms) {
+        return !this.storage.getChatId() || rooms.every(room => !!room && this.storage.isRoomSubmitted(room));
+    }
+
+    /**
+     * History is kept per chat, and per room in a room session, so plausibility
+     * checks compare a room with its own earlier readings
+     */
+    getHistoryOwner(chatId, room = this.storage.room) {
+        return room ? `${chatId}_room_${room}` : chatId;
+    }
+
+    /**
+     * Add the readings of a confirmed submission to the local history
+     * @param {Object} result - Inner result of buildFinalPayloadFromStorage
+     */
+    recordSubmission(result) {
+        const date = new Date().toISOString();
+        const owner = this.getHistoryOwner(result.chat_id, result.room_id || null);
+
+        this.meters.forEach(({ type }) => {
+            if (!result[`${type}_meter`]) return;
+
+            this.history.add(owner, type, {
+                date: date,
+                value: result[`${type}_meter`],
+                accuracy: result[`${type}_accuracy`],
+                imageUrl: result[`${type}_image`]
+            });
+        });
+    }
+
+    /**
+     * @param {Object} finalPayload
+     * @param {Array<string|null>} rooms - Rooms in the payload, [null] for a single-unit session
+     */
+    async queueSubmission(finalPayload, rooms) {
+        // One queued notification per set of rooms; it rebuilds the payload when replayed
+        const jobs = await this.outbox.getAll();
+        const queued = jobs.some(job => job.kind === 'notification'
+            && JSON.stringify(job.data.rooms || [null]) === JSON.stringify(rooms));
+
+        if (!queued) {
+            await this.outbox.enqueue('notification', { rooms });
+        }
+
+        return {
+            success: false,
+            queued: true,
+            message: "Meter readings queued until the connection is back",
+            rooms: rooms,
+            payload: finalPayload.result,
+            fullPayload: finalPayload
+        };
     }
 
     /**
      * Send notification with meter reading results
+     * @param {AbortSignal} options.signal - Cancels the request
      */
-    async sendNotification(resultData) {
+    async sendNotification(resultData, { signal = null } = {}) {
         if (!resultData || typeof resultData !== 'object') {
             throw new Error('Valid result data is required');
         }
 
-        // logger.log('Sending notification to backend...', resultData);
+        const policy = this.REQUEST_POLICIES.notification;
 
+        let responseText;
         try {
-            const response = await fetch(this.NOTIFICATION_API, {
+            responseText = await request(this.NOTIFICATION_API, {
                 method: "POST",
-                headers: {
+                headers: this.getHeaders({
                     "Content-Type": "application/json",
-                    "ngrok-skip-browser-warning": "true",
                     "Accept": "application/json"
-                },
+                }),
                 body: JSON.stringify(resultData)
-            });
-
-            // Get response text first for better error handling
-            const responseText = await response.text();
-
-            if (!response.ok) {
-                // Get response text first for better error handling
-                const responseText = await response.text();
-
-                // Try to parse as JSON for structured error
+            }, { ...policy, signal, responseType: 'text' });
+        } catch (error) {
+            // Add the backend's message to HTTP errors, JSON or plain text
+            if (error instanceof HttpStatusError && error.body) {
+                let detail;
                 try {
-                    const errorJson = JSON.parse(responseText);
-                    throw new Error(`Notification failed: ${response.status} - ${errorJson.message || errorJson.error || 'Unknown error'}`);
+                    const errorJson = JSON.parse(error.body);
+                    detail = errorJson.message || errorJson.error || 'Unknown error';
                 } catch (parseError) {
-                    // If not JSON, throw with text
-                    throw new Error(`Notification failed: ${response.status} - ${responseText.substring(0, 200)}`);
+                    detail = error.body.substring(0, 200);
                 }
+                error.message = `${error.message} - ${detail}`;
             }
+            throw error;
+        }
 
-            // Try to parse successful response
-            let result;
-            try {
-                result = JSON.parse(responseText);
-            } catch (parseError) {
-                // logger.warn('Response is not JSON:', responseText);
-                result = { success: true, raw: responseText };
-            }
+        // Try to parse successful response
+        let result;
+        try {
+            result = JSON.parse(responseText);
+        } catch (parseError) {
+            // logger.warn('Response is not JSON:', responseText);
+            result = { success: true, raw: responseText };
+        }
+
+        // Only an explicit success counts as receipt
+        if (result && result.success === false) {
+            throw new BadResponseError(policy.label, `not confirmed - ${result.message || result.error || 'Unknown error'}`);
+        }
 
-            // logger.log('Notification sent successfully', result);
-            return result;
+        // logger.log('Notification sent successfully', result);
+        return result;
+    }
+
+    /**
+     * Get current progress status
+     * `meters` maps each meter type to { completed, meter }
+     * @param {string|null} room - The active room by default
+     */
+    getProgressStatus(room = this.storage.room) {
+        return this.storage.inRoom(room, () => {
+            const meters = {};
+
+            this.meters.forEach(({ type }) => {
+                const data = this.storage.getMeterData(type);
+                meters[type] = { completed: !!data, meter: data?.meter };
+            });
 
+            return {
+                chatId: this.storage.getChatId(),
+                room: room,
+                meters: meters,
+                isComplete: this.storage.isComplete(this.meters),
+                submitted: !!room && this.storage.isRoomSubmitted(room)
+            };
+        });
+    }
+
+    /**
+     * Progress of every room, for the room picker
+     * @param {Array<{id: string, label: string}>} rooms
+     */
+    getRoomsProgress(rooms) {
+        return rooms.map(room => ({ ...room, ...this.getProgressStatus(room.id) }));
+    }
+
+    /**
+     * Jobs waiting in the outbox. An outbox whose database will not open (private
+     * mode, storage blocked) counts as empty and is not used any more, so requests
+     * go out directly.
+     */
+    async countPending() {
+        if (!this.outbox) return 0;
+
+        try {
+            return await this.outbox.count();
         } catch (error) {
-            throw error;
+            this.outbox = null;
+            return 0;
         }
     }
 
     /**
-     * Get current progress status
+     * Whether a failed request can be queued in the outbox instead of failing the step.
+     * Only network errors, timeouts and 5xx that outlasted the retries qualify.
      */
-    getProgressStatus() {
-        const chatId = this.storage.getChatId();
-        const waterData = this.storage.getWaterData();
-        const electricityData = this.storage.getElectricityData();
+    canQueue(error) {
+        return !!this.outbox && isRetryableError(error);
+    }
 
-        return {
-            chatId: chatId,
-            waterCompleted: !!waterData,
-            electricityCompleted: !!electricityData,
-            waterMeter: waterData?.meter,
-            electricityMeter: electricityData?.meter,
-            isComplete: this.storage.isComplete()
-        };
+    /**
+     * Queue a capture whose OCR could not run. The step is stored as a
+     * placeholder and completed when the outbox replays the job.
+     */
+    async queueCapture(meterType, chatId, image) {
+        await this.outbox.enqueue('capture', {
+            meterType, chatId, room: this.storage.room, image: await toImageBlob(image)
+        });
+        return this.storage.saveQueuedMeter(meterType);
+    }
+
+    /**
+     * Replay queued captures, uploads and notifications through this service.
+     * Jobs write to the room they were queued in, whichever room is active now.
+     * @param {Outbox} outbox
+     */
+    useOutbox(outbox) {
+        this.outbox = outbox;
+        const inRoom = (data, work) => this.storage.inRoom(data.room || null, work);
+
+        outbox.register('capture', async (data) => {
+            // The user may have recaptured or typed in the meter meanwhile; then this photo is not needed
+            const current = () => inRoom(data, () => this.storage.getMeterData(data.meterType));
+
+            // OCR result is kept on the job so a failed upload does not repeat OCR
+            if (!data.ocrResponse) {
+                if (!current()?.queued) return;
+
+                const ocrResponse = await this.sendDetectionRequest(data.image);
+                if (!current()?.queued) return;
+
+                // Unreadable photo: drop the placeholder so the app asks for a recapture
+                if (!ocrResponse.reading) {
+                    inRoom(data, () => this.storage.removeMeterData(data.meterType));
+                    return;
+                }
+
+                // Nobody reviewed this reading; low confidence is flagged for the backend
+                const meter = this.meters.find(({ type }) => type === data.meterType);
+                const confident = MeterWorkflow.meetsConfidence(meter, ocrResponse.reading_confidence);
+
+                data.ocrResponse = ocrResponse;
+                data.savedAt = inRoom(data, () => this.storage.saveMeterData(data.meterType, ocrResponse, "", {
+                    confidenceCheck: confident ? 'passed' : 'unreviewed'
+                })).timestamp;
+            }
+
+            const replaced = () => data.savedAt && current()?.timestamp !== data.savedAt;
+            if (replaced()) return;
+            const imageUrl = await this.uploadImageToStorage(data.image, data.chatId, data.meterType);
+            if (replaced()) return;
+            inRoom(data, () => this.storage.updateMeterData(data.meterType, { imageUrl }));
+        });
+
+        // A capture the backend refused: drop the placeholder so the app asks for a recapture.
+        // A refused upload leaves the reading without its photo.
+        outbox.onFailure(({ kind, data }) => {
+            if (kind !== 'capture') return;
+            inRoom(data, () => {
+                if (this.storage.getMeterData(data.meterType)?.queued) this.storage.removeMeterData(data.meterType);
+            });
+        });
+
+        outbox.register('upload', async (data) => {
+            const imageUrl = await this.uploadImageToStorage(data.image, data.chatId, data.meterType);
+            inRoom(data, () => this.storage.updateMeterData(data.meterType, { imageUrl }));
+        });
+
+        outbox.register('notification', async (data) => {
+            // A queued capture turned out unreadable: that room is left out, the app asks
+            // for a recapture and the user submits it again
+            const rooms = (data.rooms || [null])
+                .filter(room => this.storage.inRoom(room, () => this.storage.isComplete(this.meters)));
+            if (rooms.length === 0) return;
+
+            // Same shape as when it was queued: one room (or none) alone, several as a batch
+            const finalPayload = rooms.length === 1
+                ? this.buildFinalPayloadFromStorage(rooms[0])
+                : this.buildBatchPayloadFromStorage(rooms);
+            await this.sendNotification(finalPayload);
+            this.completeSubmission(finalPayload.results || [finalPayload.result]);
+        });
     }
 
     /**
      * Reset/clear all stored data
      */
     resetStorage() {
-        this.storage.clearAll();
+        if (this.outbox) {
+            this.outbox.clear().catch(() => {
+                // Nothing was queued in a database that does not open
+            });
+        }
+        this.storage.clearAll(this.meters);
         return { success: true, message: "Storage cleared" };
     }
 }
\ No newline at end of file
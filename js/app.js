@@ -1,20 +1,85 @@
 import { Camera } from './camera.js';
 import { FrameProcessor } from './frame-processor.js';
 import { ApiService } from './api-service.js';
+import { ReviewScreen } from './review-screen.js';
+import { MeterWorkflow, METER_TYPES } from './meter-workflow.js';
+import { Outbox } from './outbox.js';
+import {
+    RequestCancelledError, HttpStatusError, TimeoutError, NetworkError, BadResponseError
+} from './http-client.js';
+import { AutoCapture } from './auto-capture.js';
+import { Preferences } from './preferences.js';
+import { TargetGuide } from './target-guide.js';
+import { CameraControls } from './camera-controls.js';
+import { HistoryView } from './history-view.js';
+import { checkPlausibility } from './plausibility.js';
+import { loadImageFile } from './image-import.js';
+import { watchTelegramTheme } from './telegram-theme.js';
+import { RoomPicker } from './room-picker.js';
+import { CloudStorageBackend } from './cloud-storage.js';
+import { parseStartParam, StartParamError } from './start-param.js';
+import {
+    t, CATALOGS, detectLocale, getLocale, setLocale, onLocaleChange, translatePage,
+    formatPercent, formatPeriod, formatDate, meterLabel, meterName
+} from './i18n.js';
 
 // Init Telegram WebApp
 const tg = window.Telegram.WebApp;
 tg.expand();
 tg.ready();
+watchTelegramTheme(tg);
+setLocale(detectLocale(tg.initDataUnsafe?.user?.language_code));
+
+// Deep link from the bot: room, billing period, meters and locale (see start-param.js)
+let linkContext = null;
+let linkError = null;
+try {
+    linkContext = parseStartParam(tg.initDataUnsafe?.start_param, {
+        meterTypes: METER_TYPES.map(({ type }) => type)
+    });
+} catch (error) {
+    if (!(error instanceof StartParamError)) throw error;
+    linkError = error;
+}
+let linkedRoom = linkContext?.room || null; // Opened first, see activateRooms
+let linkExpired = false; // The stored link of the session in progress expired
+if (linkContext && CATALOGS[linkContext.locale]) {
+    setLocale(detectLocale(linkContext.locale)); // A language picked in the app still wins
+}
+
+// Native MainButton/BackButton inside Telegram; a plain browser (dev mode) keeps the in-page button
+const nativeButtons = !!tg.MainButton && tg.platform !== 'unknown';
+let mainButtonAction = null;
+
+// Without initData the backend cannot verify who is submitting, and without its
+// user there is no chat to submit for (e.g. opened from an inline query or a group).
+// Only an explicit dev build (VITE_DEV_MODE=true) may run outside Telegram.
+const DEV_MODE = import.meta.env?.VITE_DEV_MODE === 'true';
+const hasSession = (!!tg.initData && !!tg.initDataUnsafe?.user?.id) || DEV_MODE;
 
 // DOM Elements
 const videoEl = document.getElementById('camera-stream');
 const captureBtn = document.getElementById('capture-btn');
+const outboxStatus = document.getElementById('outbox-status');
+const modeToggle = document.getElementById('mode-toggle');
+const steadyIndicator = document.getElementById('steady-indicator');
+const cameraError = document.getElementById('error-message');
+const retryBtn = document.getElementById('retry-btn');
+const historyBtn = document.getElementById('history-btn');
+const manualEntryBtn = document.getElementById('manual-entry-btn');
+const photoInput = document.getElementById('photo-input');
+const importBtn = document.getElementById('import-btn');
+const importFallbackBtn = document.getElementById('import-fallback-btn');
+const languageBtn = document.getElementById('language-btn');
+const roomBtn = document.getElementById('room-btn');
 const statusBadge = document.createElement('div');
 
+// Static text in index.html
+translatePage();
+
 // Setup Status Badge
 statusBadge.className = 'status-badge';
-statusBadge.innerText = 'Ready';
+statusBadge.innerText = t('status.ready');
 
 // Find where to append status badge
 const cameraView = document.querySelector('.camera-view');
@@ -23,21 +88,137 @@ if (cameraView) {
 }
 
 // Modules
-const camera = new Camera(videoEl);
+const camera = new Camera(videoEl, { deviceId: Preferences.get('cameraDeviceId') });
 const processor = new FrameProcessor();
-const api = new ApiService();
+const workflow = new MeterWorkflow();
+const api = new ApiService(workflow.meters, { initData: tg.initData });
+api.storage.migrate(); // Before anything reads the stored session
+
+// Readings follow the user across their Telegram clients where CloudStorage exists
+if (CloudStorageBackend.isSupported(tg)) {
+    api.storage.useCloud(new CloudStorageBackend(tg.CloudStorage));
+}
+
+// A new link scopes the session; reopening without one continues the linked session
+if (linkContext) {
+    api.storage.saveLinkContext(linkContext);
+    if (linkContext.meters) api.meters = workflow.only(linkContext.meters);
+} else if (!linkError) {
+    restoreLinkContext();
+}
+
+// The stored link keeps scoping the session until it expires. An expired one is
+// dropped, and the session it scoped is offered to start over (expireStaleSession).
+function restoreLinkContext() {
+    linkContext = api.storage.getLinkContext();
+    if (linkContext?.expiresAt && linkContext.expiresAt < Date.now()) {
+        api.storage.removeLinkContext();
+        linkContext = null;
+        linkExpired = true;
+    }
+    if (linkContext?.meters) api.meters = workflow.only(linkContext.meters);
+}
+// Auto-capture waits for at least two good frames (the camera held steady);
+// OCR gets the sharpest CONSENSUS.frames of them
+processor.BATCH_SIZE = Math.max(2, api.CONSENSUS.frames);
 const overlayCanvas = document.getElementById('overlay-canvas');
 const overlayCtx = overlayCanvas?.getContext('2d') || null;
+const reviewScreen = new ReviewScreen(document.getElementById('photo-preview'));
+const historyView = new HistoryView(document.getElementById('history-panel'), {
+    onClose: () => updateBackButton()
+});
+const roomPicker = new RoomPicker(document.getElementById('room-panel'), {
+    onSelect: roomId => selectRoom(roomId),
+    onSubmitAll: () => submitCompleteRooms(),
+    onClose: () => updateBackButton()
+});
+const outbox = Outbox.isSupported() ? new Outbox() : null;
+const autoCapture = new AutoCapture(videoEl, processor);
+const targetGuide = new TargetGuide(document.getElementById('target-guide'), videoEl);
+
+// Analyse and crop frames to the targeting guide
+processor.regionProvider = () => targetGuide.getVideoRegion();
+
+const cameraControls = new CameraControls(document.getElementById('camera-controls'), camera, {
+    onCameraChange: deviceId => {
+        // Remember the lens for the next session
+        Preferences.set('cameraDeviceId', deviceId);
+        resizeCanvas();
+    },
+    onError: error => {
+        statusBadge.innerText = t('status.cameraError', { message: error.message.substring(0, 40) });
+        statusBadge.style.color = '#ff7675';
+    }
+});
 
 // State
 let isProcessing = false;
-let currentStep = 0; // 0 = water, 1 = electricity, 2 = submit
-let chatId = tg.initDataUnsafe?.user?.id?.toString() || 'unknown';
+let chatId = tg.initDataUnsafe?.user?.id?.toString() || (DEV_MODE ? 'dev' : null);
+let submissionQueued = null; // Rooms of a queued submission ([null] without rooms) until the outbox confirms it
+let rooms = []; // Caretaker session: [{ id, label }]; empty for a single unit
+let captureMode = Preferences.get('captureMode', 'manual'); // 'manual' | 'auto'
+
+// Aborts the requests of the capture in progress (reset, leaving the app)
+let requestController = null;
+
+const QUALITY_OVERRIDE_WINDOW = 10000; // Tap again within 10s to send a flagged frame anyway
+let qualityWarning = null; // { issue, at } of the last rejected manual capture
+let captureCrop = null; // Where the captured image sits in the video frame, for detection boxes
+const lowConfidenceRetakes = new Set(); // Meter types retaken after a reading below minConfidence
+let manualEntryStep = null; // Workflow step that offers "Type it instead"
 
 // Debounce flag to prevent rapid clicks
 let lastCaptureTime = 0;
 const CAPTURE_COOLDOWN = 2000; // 2 seconds between captures
 
+// Ask before resuming a session from an earlier billing period or left too long.
+// Sessions with work still in the outbox are kept: that work needs their data.
+// Resolves true when the page reloads to start over.
+async function expireStaleSession() {
+    const period = linkContext?.period || undefined;
+    const reason = api.storage.getStaleReason({ period })
+        || (linkExpired && api.storage.getSession() ? 'link' : null);
+    if (!reason || await api.countPending() > 0) return false;
+
+    const session = api.storage.getSession();
+    let message = t('session.staleLink');
+    if (reason === 'period') {
+        message = t('session.stalePeriod', { period: formatPeriod(session.period) });
+    } else if (reason === 'age') {
+        message = t('session.staleAge', { date: formatDate(session.startedAt) });
+    }
+
+    if (!await confirmDialog(message)) {
+        api.storage.keepSession(period); // Not asked again until it is stale anew
+        return false;
+    }
+
+    const link = api.storage.getLinkContext();
+    api.resetStorage();
+    // A link opened just now scopes the new session
+    if (link && link.raw === tg.initDataUnsafe?.start_param) {
+        api.storage.saveLinkContext(link);
+        return false;
+    }
+    // A stored link scoped the old session (meters, rooms): start again without it
+    if (link) {
+        window.location.reload();
+        return true;
+    }
+    return false;
+}
+
+// Telegram's confirm popup, window.confirm outside Telegram
+function confirmDialog(message) {
+    return new Promise(resolve => {
+        try {
+            tg.showConfirm(message, resolve);
+        } catch (error) {
+            resolve(window.confirm(message));
+        }
+    });
+}
+
 // Check for existing data on startup
 function checkExistingData() {
     try {
@@ -45,19 +226,10 @@ function checkExistingData() {
 
         // logger.log('Checking existing data:', status);
 
-        if (status && status.waterCompleted && !status.electricityCompleted) {
-            // Resume from electricity step
-            currentStep = 1;
-            updateUIForStep(1);
-            // logger.log('Resuming: Water meter already captured');
-            // logger.log('Water data:', status.waterMeter);
-            return true;
-        } else if (status && status.isComplete) {
-            // Both completed, ready to submit
-            currentStep = 2;
-            updateUIForStep(2);
-            // logger.log('Resuming: Both meters captured, ready to submit');
-            // logger.log('Water:', status.waterMeter, 'Electricity:', status.electricityMeter);
+        if (status && Object.values(status.meters).some(meter => meter.completed)) {
+            // Resume from the first meter that has not been captured yet
+            workflow.resume(type => status.meters[type].completed);
+            updateUIForStep();
             return true;
         }
     } catch (error) {
@@ -66,278 +238,929 @@ function checkExistingData() {
     return false;
 }
 
+// Show how many requests are waiting in the outbox
+function updateOutboxStatus(pending) {
+    if (!outboxStatus) return;
+
+    outboxStatus.classList.toggle('hidden', pending === 0);
+    outboxStatus.innerText = t('status.pendingUploads', { count: pending });
+
+    // A queued room lost a reading OCR could not read: it is left out of the submission
+    const dropped = api.getRoomsProgress(rooms.filter(({ id }) => submissionQueued?.includes(id)))
+        .filter(room => !room.submitted && !room.isComplete);
+
+    if (dropped.length > 0) {
+        submissionQueued = submissionQueued.filter(id => !dropped.some(room => room.id === id));
+        if (submissionQueued.length === 0) submissionQueued = null;
+        updateRoomButton();
+        statusBadge.innerText = t('rooms.unreadable', { rooms: dropped.map(room => room.label).join(', ') });
+        statusBadge.style.color = '#fdcb6e';
+        if (tg.HapticFeedback) tg.HapticFeedback.notificationOccurred('warning');
+    }
+
+    // A queued submission finished once the outbox drains and storage is cleared
+    if (submissionQueued && pending === 0 && api.isSubmitted(submissionQueued)) {
+        submissionQueued = null;
+        updateRoomButton();
+        statusBadge.innerText = t('status.submitted');
+        statusBadge.style.color = '#00b894';
+        if (tg.HapticFeedback) tg.HapticFeedback.notificationOccurred('success');
+    }
+
+    // A queued capture that OCR could not read was dropped: go back to that meter
+    const unreadable = workflow.meters
+        .slice(0, workflow.index)
+        .find(({ type }) => !api.storage.getMeterData(type));
+
+    if (unreadable && api.storage.getChatId() && !isProcessing) {
+        submissionQueued = null;
+        workflow.resume(type => !!api.storage.getMeterData(type));
+        updateUIForStep();
+        statusBadge.innerText = t('status.unreadable', { meter: meterName(unreadable) });
+        statusBadge.style.color = '#fdcb6e';
+    }
+}
+
+// A queued submission the backend refused. The readings are still stored, so it
+// can be submitted again; refused captures show up as unreadable meters instead.
+function handleOutboxFailure(job, error) {
+    if (job.kind !== 'notification') return;
+
+    submissionQueued = null;
+    if (!isProcessing) updateUIForStep();
+
+    const status = findHttpStatus(error);
+    statusBadge.innerText = status === 401 || status === 403
+        ? t('status.sessionExpired')
+        : t('submit.failedWithReason', { message: describeError(error) });
+    statusBadge.style.color = '#ff7675';
+    if (tg.HapticFeedback) tg.HapticFeedback.notificationOccurred('error');
+}
+
+function setupOutbox() {
+    if (!outbox) return;
+
+    api.useOutbox(outbox);
+    outbox.onChange(updateOutboxStatus);
+    outbox.onFailure(handleOutboxFailure);
+    outbox.start().catch(() => {
+        // Replay failures stay queued and are retried later
+    });
+}
+
 function resizeCanvas() {
     if (!videoEl?.videoWidth || !videoEl?.videoHeight || !overlayCanvas) return;
     overlayCanvas.width = videoEl.videoWidth;
     overlayCanvas.height = videoEl.videoHeight;
+    targetGuide.layout();
 }
 
-function updateUIForStep(step) {
-    switch (step) {
-        case 0:
-            captureBtn.innerText = 'Take Water Meter Photo';
-            statusBadge.innerText = 'Ready to Capture Water Meter';
-            captureBtn.disabled = false;
-            break;
-        case 1:
-            captureBtn.innerText = 'Take Electricity Meter Photo';
-            statusBadge.innerText = 'Water captured ✓ Ready for electricity';
-            captureBtn.disabled = false;
-            break;
-        case 2:
-            captureBtn.innerText = 'Submit Both Readings';
-            statusBadge.innerText = 'Both meters captured! Ready to submit';
-            captureBtn.disabled = false;
-            break;
+function updateUIForStep() {
+    const meter = workflow.current;
+    const previous = workflow.previous;
+
+    targetGuide.show(!!meter);
+    if (meter) targetGuide.setMeter(meter);
+    updateManualEntryButton();
+    updateBackButton();
+    if (importBtn) importBtn.classList.toggle('hidden', workflow.isSubmitStep());
+
+    // Submitting uses Telegram's MainButton where available
+    const room = getActiveRoom();
+    const submitLabel = room ? t('buttons.submitRoom', { room: room.label }) : t('buttons.submitAll');
+    const nativeSubmit = workflow.isSubmitStep()
+        && setMainButton(submitLabel, () => runCapture(grabVideoFrames));
+    if (!workflow.isSubmitStep()) hideMainButton();
+    captureBtn.classList.toggle('hidden', nativeSubmit);
+    captureBtn.onclick = () => runCapture(grabVideoFrames); // showCloseButton may have replaced it
+    updateRoomButton();
+
+    if (workflow.isSubmitStep()) {
+        captureBtn.innerText = submitLabel;
+        statusBadge.innerText = t('status.allCaptured');
+    } else if (previous) {
+        captureBtn.innerText = t('buttons.takePhoto', { meter: meterLabel(meter) });
+        statusBadge.innerText = t('status.readyNext', { previous: meterLabel(previous), meter: meterName(meter) });
+    } else {
+        captureBtn.innerText = t('buttons.takePhoto', { meter: meterLabel(meter) });
+        statusBadge.innerText = t('status.readyFirst', { meter: meterLabel(meter) });
     }
+
+    captureBtn.disabled = false;
 }
 
 async function startApp() {
+    camera.onStatusChange(handleCameraStatus);
+    setupLifecycle();
+    await api.storage.syncFromCloud();
+
+    // Another device may have opened the session with a link
+    if (!linkContext) restoreLinkContext();
+
+    if (await expireStaleSession()) return;
+    await loadRooms();
+
+    // Check for existing data
+    const hasExistingData = checkExistingData();
+
+    if (!hasExistingData) {
+        workflow.reset();
+        updateUIForStep();
+    }
+
+    window.addEventListener('resize', resizeCanvas);
+
+    // Setup capture handler
+    setupCaptureHandler();
+    setupModeToggle();
+    setupTelegramButtons();
+    setupLanguageToggle();
+
+    if (retryBtn) retryBtn.onclick = () => startCamera();
+    if (historyBtn) historyBtn.onclick = showHistory;
+    if (roomBtn) roomBtn.onclick = showRooms;
+    await startCamera();
+}
+
+function showHistory() {
+    historyView.open(workflow.meters.map(meter => ({
+        meter: meter,
+        entries: api.history.getEntries(api.getHistoryOwner(chatId), meter.type)
+    })));
+    updateBackButton();
+}
+
+// ==================== ROOMS ====================
+
+// Caretakers get the room list from the bot link or the backend; tenants have none
+async function loadRooms() {
+    let list = linkContext?.rooms || [];
+
+    if (list.length === 0) {
+        try {
+            list = await api.fetchRooms();
+        } catch (error) {
+            // Offline: carry on with the rooms of the session in progress
+        }
+    }
+
+    // A room session in progress, possibly started on another device (see syncFromCloud)
+    if (list.length === 0) list = api.storage.getRooms();
+
+    activateRooms(list);
+}
+
+// Keep the active room if it is still open, otherwise pick the next one
+function activateRooms(list) {
+    rooms = list;
+
+    if (rooms.length === 0) {
+        api.storage.useRoom(null);
+        return;
+    }
+
+    api.storage.saveRooms(rooms);
+    // The room the link was opened for, else the one the user was last in
+    const isOpen = id => rooms.some(room => room.id === id) && !api.storage.isRoomSubmitted(id);
+    const saved = api.storage.getActiveRoom();
+    api.storage.useRoom([linkedRoom, saved].find(id => id && isOpen(id)) || findNextRoom().id);
+    linkedRoom = null;
+}
+
+function getActiveRoom() {
+    return rooms.find(({ id }) => id === api.storage.room) || null;
+}
+
+// First room still to capture, else the first complete one waiting to be submitted
+function findNextRoom() {
+    const open = api.getRoomsProgress(rooms).filter(room => !room.submitted);
+    return open.find(room => !room.isComplete) || open[0] || rooms[0];
+}
+
+function selectRoom(roomId) {
+    api.storage.useRoom(roomId);
+    workflow.resume(type => !!api.storage.getMeterData(type));
+    manualEntryStep = null;
+    lowConfidenceRetakes.clear();
+    clearOverlay();
+    updateUIForStep();
+}
+
+// e.g. "Room 12B · 3/40 · March 2026"; the period comes from the deep link
+function updateRoomButton() {
+    if (!roomBtn) return;
+
+    const room = getActiveRoom();
+    const period = linkContext?.period;
+    roomBtn.classList.toggle('hidden', !room && !period);
+
+    const parts = [];
+    if (room && rooms.length > 1) {
+        parts.push(t('rooms.chip', {
+            room: room.label,
+            submitted: rooms.filter(({ id }) => api.storage.isRoomSubmitted(id)).length,
+            total: rooms.length
+        }));
+    } else if (room) {
+        parts.push(t('rooms.room', { room: room.label }));
+    }
+    if (period) parts.push(formatPeriod(period));
+
+    roomBtn.innerText = parts.join(' · ');
+}
+
+function showRooms() {
+    if (isProcessing || rooms.length === 0) return;
+
+    roomPicker.open(api.getRoomsProgress(rooms), {
+        meters: workflow.meters,
+        activeRoom: api.storage.room
+    });
+    updateBackButton();
+}
+
+// Batch submission of every complete room from the room picker
+async function submitCompleteRooms() {
+    if (isProcessing) return;
+
+    roomPicker.close();
+
     try {
-        statusBadge.innerText = 'Starting Camera...';
-        await camera.start();
+        isProcessing = true;
+        requestController = new AbortController();
 
-        // Small delay to ensure camera is fully ready
-        await new Promise(resolve => setTimeout(resolve, 500));
+        statusBadge.innerText = t('status.submitting');
+        statusBadge.style.color = '#a29bfe';
 
-        // Check for existing data
-        const hasExistingData = checkExistingData();
+        const result = await api.submitRooms(rooms.map(({ id }) => id), { signal: requestController.signal });
 
-        if (!hasExistingData) {
-            statusBadge.innerText = 'Ready to Capture Water Meter';
-            updateUIForStep(0);
+        if (result.success) {
+            finishRoomSubmission(t('rooms.batchSubmitted', { count: result.rooms.length }));
+        } else if (result.queued) {
+            submissionQueued = result.rooms;
+            statusBadge.innerText = t('status.submissionQueued');
+            statusBadge.style.color = '#fdcb6e';
+            if (tg.HapticFeedback) tg.HapticFeedback.notificationOccurred('warning');
         }
+    } catch (err) {
+        if (!(err instanceof RequestCancelledError)) {
+            handleCaptureError(new Error(t('submit.failedWithReason', { message: describeError(err) }), { cause: err }));
+        }
+    } finally {
+        requestController = null;
+        isProcessing = false;
+    }
+}
 
-        resizeCanvas();
-        window.addEventListener('resize', resizeCanvas);
+// After rooms were submitted: move on to the next room, or finish once all are in
+function finishRoomSubmission(message) {
+    if (tg.HapticFeedback) tg.HapticFeedback.notificationOccurred('success');
+
+    // The session ends (storage cleared) when the last room went through
+    if (!api.storage.getChatId()) {
+        updateRoomButton();
+        statusBadge.innerText = t('rooms.allSubmitted');
+        statusBadge.style.color = '#00b894';
+        showCloseButton(t('buttons.done'));
+        return;
+    }
 
-        // Setup capture handler
-        setupCaptureHandler();
+    selectRoom(findNextRoom().id);
+    statusBadge.innerText = message;
+    statusBadge.style.color = '#00b894';
+}
 
-        // logger.log(`App started successfully. Chat ID: ${chatId}, Current step: ${currentStep}`);
+// ==================== LANGUAGE ====================
 
+// The header button switches to the next catalog and remembers the choice
+function setupLanguageToggle() {
+    const locales = Object.keys(CATALOGS);
+    const nextLocale = () => locales[(locales.indexOf(getLocale()) + 1) % locales.length];
+
+    const updateLabel = () => {
+        if (languageBtn) languageBtn.innerText = t('language.name', {}, nextLocale());
+    };
+
+    if (languageBtn) {
+        languageBtn.onclick = () => setLocale(nextLocale(), { remember: true });
+    }
+
+    onLocaleChange(() => {
+        updateLabel();
+        translatePage();
+        setCaptureMode(captureMode);
+        if (outbox) outbox.count().then(updateOutboxStatus).catch(() => {});
+        updateRoomButton();
+        if (!isProcessing && !reviewScreen.isOpen()) updateUIForStep();
+    });
+    updateLabel();
+}
+
+// ==================== TELEGRAM BUTTONS ====================
+
+function setupTelegramButtons() {
+    if (!nativeButtons) return;
+
+    tg.MainButton.onClick(() => {
+        if (mainButtonAction) mainButtonAction();
+    });
+    if (tg.BackButton) tg.BackButton.onClick(handleBack);
+}
+
+/**
+ * Show the MainButton with `text`, running `action` on tap
+ * @returns {boolean} false outside Telegram, where the in-page button is used instead
+ */
+function setMainButton(text, action) {
+    if (!nativeButtons) return false;
+
+    mainButtonAction = action;
+    tg.MainButton.setParams({ text: text, is_visible: true, is_active: true });
+    tg.MainButton.hideProgress();
+    return true;
+}
+
+function hideMainButton() {
+    if (!nativeButtons) return;
+
+    mainButtonAction = null;
+    tg.MainButton.hideProgress();
+    tg.MainButton.hide();
+}
+
+function setMainButtonBusy(busy) {
+    if (!nativeButtons || !tg.MainButton.isVisible) return;
+
+    if (busy) {
+        tg.MainButton.showProgress(false);
+        tg.MainButton.disable();
+    } else {
+        tg.MainButton.hideProgress();
+        tg.MainButton.enable();
+    }
+}
+
+// Back closes the history or the review, otherwise returns to the previous meter
+function updateBackButton() {
+    if (!nativeButtons || !tg.BackButton) return;
+
+    const canGoBack = historyView.isOpen()
+        || roomPicker.isOpen()
+        || reviewScreen.isOpen()
+        || (workflow.index > 0 && !!api.storage.getChatId());
+
+    if (canGoBack) {
+        tg.BackButton.show();
+    } else {
+        tg.BackButton.hide();
+    }
+}
+
+function handleBack() {
+    if (historyView.isOpen()) {
+        historyView.close();
+    } else if (roomPicker.isOpen()) {
+        roomPicker.close();
+    } else if (reviewScreen.isOpen()) {
+        reviewScreen.close(); // Same as Retake
+    } else if (!isProcessing && workflow.index > 0) {
+        workflow.back();
+        clearOverlay();
+        updateUIForStep();
+        statusBadge.innerText = t('status.retake', { meter: meterName(workflow.current) });
+        statusBadge.style.color = 'white';
+    }
+    updateBackButton();
+}
+
+// After submitting, the main action closes the app
+function showCloseButton(text) {
+    const closeApp = () => {
+        if (tg.close) {
+            tg.close();
+        }
+    };
+
+    captureBtn.innerText = text;
+    captureBtn.onclick = closeApp;
+    captureBtn.classList.toggle('hidden', setMainButton(text, closeApp));
+    updateBackButton();
+}
+
+async function startCamera() {
+    try {
+        await camera.start();
+
+        // Small delay to ensure camera is fully ready
+        await new Promise(resolve => setTimeout(resolve, 500));
     } catch (e) {
-        statusBadge.innerText = `Error: ${e.message.substring(0, 30)}...`;
+        // Shown by handleCameraStatus
+    }
+}
+
+function handleCameraStatus({ status, error }) {
+    const failed = status === 'denied' || status === 'error';
+
+    if (cameraError) {
+        cameraError.classList.toggle('hidden', !failed);
+        if (failed) {
+            cameraError.querySelector('p').innerText = error.message;
+            retryBtn.innerText = t(status === 'denied' ? 'buttons.enableCamera' : 'buttons.tryAgain');
+        }
+    }
+
+    if (status === 'starting') {
+        statusBadge.innerText = t('status.startingCamera');
+        statusBadge.style.color = '';
+        statusBadge.style.background = '';
+    } else if (status === 'active') {
+        resizeCanvas();
+        cameraControls.refresh();
+        if (!isProcessing) updateUIForStep();
+    } else if (failed) {
+        statusBadge.innerText = t('status.error', { message: `${error.message.substring(0, 30)}...` });
         statusBadge.style.color = '#ff7675';
         statusBadge.style.background = 'rgba(231, 76, 60, 0.8)';
     }
 }
 
+// Pick up readings taken on another device while this one was in the background
+async function refreshFromCloud() {
+    if (isProcessing || reviewScreen.isOpen()) return;
+    if (!await api.storage.syncFromCloud() || isProcessing) return;
+
+    // Rooms and the active room may have changed on the other device too
+    activateRooms(rooms.length > 0 ? rooms : api.storage.getRooms());
+    if (!checkExistingData()) {
+        workflow.reset();
+        updateUIForStep();
+    }
+}
+
+// Release the camera while Telegram is in the background and restart it on return
+function setupLifecycle() {
+    const pause = () => camera.pause();
+    const resume = () => {
+        camera.resume().catch(() => {
+            // Shown by handleCameraStatus
+        });
+        refreshFromCloud();
+    };
+
+    tg.onEvent('deactivated', pause);
+    tg.onEvent('activated', resume);
+
+    // Older Telegram clients only change page visibility
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            pause();
+        } else {
+            resume();
+        }
+    });
+}
+
 function setupCaptureHandler() {
     if (!captureBtn) return;
 
-    captureBtn.onclick = async () => {
-        // Debounce check
-        const now = Date.now();
-        if (now - lastCaptureTime < CAPTURE_COOLDOWN) {
-            // logger.log('Capture blocked: too soon after last capture');
-            statusBadge.innerText = 'Please wait...';
-            return;
-        }
+    captureBtn.onclick = () => runCapture(grabVideoFrames);
 
-        if (isProcessing || !camera.isPlaying()) {
-            // logger.log('Capture blocked: already processing or camera not ready');
-            return;
-        }
+    if (manualEntryBtn) {
+        manualEntryBtn.onclick = () => runCapture(grabEvidenceFrame, processManualStep);
+    }
 
-        try {
-            isProcessing = true;
-            lastCaptureTime = now;
-            captureBtn.disabled = true;
+    setupPhotoImport();
+}
 
-            if (tg.HapticFeedback) tg.HapticFeedback.impactOccurred('medium');
+// CAPTURE IMAGE: take a short burst and keep the best frame(s), cropped to the guide
+// Returns null when the best frame fails a quality check, unless the user insists
+async function grabVideoFrames() {
+    const video = camera.getVideo();
 
-            // CAPTURE IMAGE
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            const video = camera.getVideo();
+    if (!video || video.videoWidth === 0) throw new Error(t('errors.videoNotReady'));
 
-            if (!video || video.videoWidth === 0) throw new Error("Video not ready");
+    const frames = await processor.captureBurst(video, api.CONSENSUS.frames);
+    const { issues } = frames[0].quality;
 
-            canvas.width = video.videoWidth;
-            canvas.height = video.videoHeight;
-            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    if (issues.length > 0) {
+        const issue = issues[0];
+        const insisted = qualityWarning
+            && qualityWarning.issue === issue
+            && Date.now() - qualityWarning.at < QUALITY_OVERRIDE_WINDOW;
 
-            const dataUrl = canvas.toDataURL('image/jpeg', 0.82);
-            const rawBase64 = dataUrl.split(',')[1];
+        if (!insisted) {
+            qualityWarning = { issue, at: Date.now() };
+            statusBadge.innerText = t('quality.sendAnyway', { hint: t(`quality.${issue}`) });
+            statusBadge.style.color = '#fdcb6e';
+            if (tg.HapticFeedback) tg.HapticFeedback.notificationOccurred('warning');
+            return null;
+        }
+    }
 
-            // logger.log(`Captured image for step ${currentStep} (${currentStep === 0 ? 'water' : currentStep === 1 ? 'electricity' : 'submit'})`);
+    qualityWarning = null;
+    return frames;
+}
 
-            // PROCESS BASED ON CURRENT STEP
-            switch (currentStep) {
-                case 0: // Water meter
-                    await processWaterMeter(rawBase64);
-                    break;
+/**
+ * Run the current step: process a meter image or submit everything.
+ * Shared by the capture button and auto-capture.
+ * @param {Function} getFrames - Returns (a promise of) the encoded frames for a meter step, best first,
+ *                              or null to skip the capture
+ * @param {Function} processStep - (meter, images, signal) => Promise, reads and stores the meter
+ * @param {Object} options
+ * @param {boolean} options.needsCamera - False for imported photos, which work without a stream.
+ *                                        The submit step never needs the camera.
+ */
+async function runCapture(getFrames, processStep = processMeterStep, { needsCamera = true } = {}) {
+    // Debounce check
+    const now = Date.now();
+    if (now - lastCaptureTime < CAPTURE_COOLDOWN) {
+        // logger.log('Capture blocked: too soon after last capture');
+        statusBadge.innerText = t('status.pleaseWait');
+        return;
+    }
+
+    // Submitting grabs no frames, so it works without a camera too
+    if (isProcessing || (needsCamera && !workflow.isSubmitStep() && !camera.isPlaying())) {
+        // logger.log('Capture blocked: already processing or camera not ready');
+        return;
+    }
 
-                case 1: // Electricity meter
-                    await processElectricityMeter(rawBase64);
-                    break;
+    try {
+        isProcessing = true;
+        lastCaptureTime = now;
+        captureBtn.disabled = true;
+        requestController = new AbortController();
+        const { signal } = requestController;
 
-                case 2: // Submit both
-                    await submitBothReadings();
-                    break;
+        if (tg.HapticFeedback) tg.HapticFeedback.impactOccurred('medium');
+
+        // PROCESS BASED ON CURRENT STEP
+        if (workflow.isSubmitStep()) {
+            await submitAllReadings(signal);
+        } else {
+            const frames = await getFrames();
+
+            if (frames) {
+                captureCrop = frames[0].crop || null;
+                const images = frames.map(frame => frame.blob);
+                await processStep(workflow.current, images, signal);
+            } else {
+                // Rejected frame: allow an immediate retry
+                lastCaptureTime = 0;
             }
+        }
 
-        } catch (err) {
+    } catch (err) {
+        // A cancelled capture was abandoned on purpose, nothing to report
+        if (!(err instanceof RequestCancelledError)) {
             handleCaptureError(err);
-        } finally {
-            // Small delay before re-enabling button
-            setTimeout(() => {
-                isProcessing = false;
-                captureBtn.disabled = false;
-            }, 500);
         }
-    };
+    } finally {
+        requestController = null;
+        // Small delay before re-enabling button
+        setTimeout(() => {
+            isProcessing = false;
+            captureBtn.disabled = false;
+        }, 500);
+    }
 }
 
-async function processWaterMeter(imageBase64) {
-    try {
-        statusBadge.innerText = 'Processing water meter...';
-        statusBadge.style.color = '#74b9ff';
+// ==================== AUTO CAPTURE ====================
 
-        // logger.log('Starting water meter processing...');
+// Auto mode may fire only on a meter step with nothing else going on
+function canAutoCapture() {
+    return captureMode === 'auto'
+        && !isProcessing
+        && !workflow.isSubmitStep()
+        && camera.isPlaying()
+        && !reviewScreen.isOpen()
+        && Date.now() - lastCaptureTime >= CAPTURE_COOLDOWN;
+}
 
-        // Use the storage-enabled method
-        const result = await api.processAndSaveWaterMeter(imageBase64, chatId);
+function updateSteadyIndicator(quality) {
+    if (!steadyIndicator || !quality) return;
 
-        // logger.log('Water meter processing result:', result);
+    steadyIndicator.classList.remove('hidden');
+    steadyIndicator.classList.toggle('steady', quality.ok);
+    steadyIndicator.innerText = t(quality.ok ? 'quality.holdSteady' : `quality.${quality.issues[0]}`);
+}
+
+function setCaptureMode(mode) {
+    captureMode = Preferences.set('captureMode', mode);
+
+    if (modeToggle) {
+        modeToggle.innerText = t(mode === 'auto' ? 'buttons.auto' : 'buttons.manual');
+        modeToggle.setAttribute('aria-pressed', String(mode === 'auto'));
+    }
 
-        // Verify storage immediately
-        const storedData = api.storage.getWaterData();
-        // logger.log('Verified water data in storage:', storedData);
+    if (mode === 'auto') {
+        autoCapture.start({
+            canCapture: canAutoCapture,
+            onFrame: updateSteadyIndicator,
+            onPause: () => steadyIndicator?.classList.add('hidden'),
+            // Frames come sharpest first
+            onBatch: frames => runCapture(() => frames.slice(0, api.CONSENSUS.frames))
+        });
+    } else {
+        autoCapture.stop();
+        if (steadyIndicator) steadyIndicator.classList.add('hidden');
+    }
+}
+
+function setupModeToggle() {
+    if (modeToggle) {
+        modeToggle.onclick = () => setCaptureMode(captureMode === 'auto' ? 'manual' : 'auto');
+    }
+    setCaptureMode(captureMode);
+}
+
+async function processMeterStep(meter, images, signal) {
+    try {
+        statusBadge.innerText = t('status.processing', { meter: meterName(meter) });
+        statusBadge.style.color = meter.color;
 
-        if (!storedData) {
-            throw new Error('Water data failed to save to storage');
+        ensureSession();
+
+        // OCR + upload, then let the user confirm or correct the reading
+        let result;
+        try {
+            result = await api.processMeterImages(images, api.storage.getChatId(), meter.type, { signal });
+        } catch (error) {
+            if (!api.canQueue(error)) throw error;
+
+            // No connection or OCR down: keep the photo in the outbox and move on.
+            // Going back to this meter offers "Type it instead", which replaces the queued capture.
+            await api.queueCapture(meter.type, api.storage.getChatId(), images[0]);
+            offerManualEntry();
+            workflow.next();
+            updateUIForStep();
+            statusBadge.innerText = t('status.savedOffline', { meter: meterName(meter) });
+            statusBadge.style.color = '#fdcb6e';
+            if (tg.HapticFeedback) tg.HapticFeedback.notificationOccurred('warning');
+            return;
         }
 
-        // OCR feedback
-        await handleDetectionResult(imageBase64);
+        // No reading, or frames read different values: nothing was stored or uploaded
+        if (result.needsRecapture) {
+            offerManualEntry();
+            statusBadge.innerText = result.readings.length > 0
+                ? t('status.unclearReading', { readings: result.readings.join(' / ') })
+                : t('status.noReading');
+            statusBadge.style.color = '#fdcb6e';
+            if (tg.HapticFeedback) tg.HapticFeedback.notificationOccurred('warning');
+            return;
+        }
 
-        // Small delay to ensure storage is fully written
-        await new Promise(resolve => setTimeout(resolve, 300));
+        // OCR feedback, rendered from the same response that gets stored
+        showDetectionResult(result, meter);
 
-        // Move to next step
-        currentStep = 1;
-        updateUIForStep(1);
+        const confident = MeterWorkflow.meetsConfidence(meter, result.accuracy);
+        const review = await reviewCapture(result, meter, confident);
 
-        statusBadge.innerText = `Water: ${result.meterValue} ✓`;
-        statusBadge.style.color = '#55efc4';
+        if (review.action === 'retake') {
+            if (!confident) {
+                lowConfidenceRetakes.add(meter.type);
+                offerManualEntry();
+            }
+            clearOverlay();
+            statusBadge.innerText = t('status.retake', { meter: meterName(meter) });
+            statusBadge.style.color = 'white';
+            return;
+        }
 
-        if (tg.HapticFeedback) tg.HapticFeedback.notificationOccurred('success');
-        // logger.log(`✓ Water meter captured: ${result.meterValue}`);
-        // logger.log('Ready for electricity meter');
+        // Record how a low-confidence reading was dealt with
+        let confidenceCheck = 'passed';
+        if (!confident) {
+            confidenceCheck = 'confirmed';
+        } else if (lowConfidenceRetakes.has(meter.type)) {
+            confidenceCheck = 'recaptured';
+        }
+        lowConfidenceRetakes.delete(meter.type);
+
+        api.saveReviewedReading(result, {
+            reading: review.reading,
+            edited: review.edited,
+            override: review.acknowledged.find(issue => issue !== 'low-confidence') || null,
+            confidenceCheck: confidenceCheck
+        });
+
+        await completeMeterStep(meter);
 
     } catch (error) {
-        throw new Error(`Water meter processing failed: ${error.message}`);
+        if (error instanceof RequestCancelledError) throw error;
+        throw new Error(t('errors.processingFailed', { meter: meterLabel(meter), message: describeError(error) }), { cause: error });
     }
 }
 
-async function processElectricityMeter(imageBase64) {
-    try {
-        statusBadge.innerText = 'Processing electricity meter...';
-        statusBadge.style.color = '#fdcb6e';
+// The first meter starts the session; later ones need the earlier meters stored
+function ensureSession() {
+    if (workflow.previous) {
+        const missing = workflow.meters
+            .slice(0, workflow.index)
+            .find(({ type }) => !api.storage.getMeterData(type));
 
-        // logger.log('Starting electricity meter processing...');
+        if (missing || !api.storage.getChatId()) {
+            const first = missing || workflow.meters[0];
+            throw new Error(t('errors.captureFirst', { meter: meterLabel(first), name: meterName(first) }));
+        }
+    } else {
+        api.storage.saveChatId(chatId);
+    }
+}
 
-        // Verify water data exists before proceeding
-        const waterData = api.storage.getWaterData();
-        const chatIdStored = api.storage.getChatId();
+// Move on once the meter's reading is stored
+async function completeMeterStep(meter) {
+    // Verify storage immediately
+    const storedData = api.storage.getMeterData(meter.type);
 
-        // logger.log('Pre-check - Water data exists:', !!waterData);
-        // logger.log('Pre-check - Chat ID exists:', !!chatIdStored);
-        // logger.log('Pre-check - Water meter value:', waterData?.meter);
+    if (!storedData) {
+        throw new Error(t('errors.saveFailed', { meter: meterLabel(meter) }));
+    }
 
-        if (!waterData || !chatIdStored) {
-            throw new Error('Water meter data not found. Please capture water meter first.');
-        }
+    // Small delay to ensure storage is fully written
+    await new Promise(resolve => setTimeout(resolve, 300));
 
-        // Use the storage-enabled method
-        const result = await api.processAndSaveElectricityMeter(imageBase64);
+    // Move to next step
+    workflow.next();
+    updateUIForStep();
 
-        // logger.log('Electricity meter processing result:', result);
+    statusBadge.innerText = `${formatCapturedSummary()} ✓`;
+    statusBadge.style.color = '#55efc4';
 
-        // Verify storage immediately
-        const storedData = api.storage.getElectricityData();
-        // logger.log('Verified electricity data in storage:', storedData);
+    if (tg.HapticFeedback) tg.HapticFeedback.notificationOccurred('success');
+}
 
-        if (!storedData) {
-            throw new Error('Electricity data failed to save to storage');
-        }
+// ==================== PHOTO IMPORT ====================
 
-        // OCR feedback
-        await handleDetectionResult(imageBase64);
+// Photos from the device go through the same OCR, upload and storage steps as live captures
+function setupPhotoImport() {
+    if (!photoInput) return;
 
-        // Small delay to ensure storage is fully written
-        await new Promise(resolve => setTimeout(resolve, 300));
+    const choosePhoto = () => {
+        if (workflow.isSubmitStep()) return;
+        photoInput.click();
+    };
 
-        // Move to submit step
-        currentStep = 2;
-        updateUIForStep(2);
+    if (importBtn) importBtn.onclick = choosePhoto;
+    if (importFallbackBtn) importFallbackBtn.onclick = choosePhoto;
 
-        const waterMeter = waterData.meter;
-        statusBadge.innerText = `Water: ${waterMeter} | Elec: ${result.meterValue} ✓`;
-        statusBadge.style.color = '#00b894';
+    photoInput.onchange = () => {
+        const file = photoInput.files[0];
+        photoInput.value = ''; // Picking the same file again should still fire change
+        if (!file) return;
 
-        if (tg.HapticFeedback) tg.HapticFeedback.notificationOccurred('success');
-        // logger.log(`✓ Electricity meter captured: ${result.meterValue}`);
-        // logger.log('Both meters complete. Ready to submit.');
+        runCapture(async () => [await loadImageFile(file)], processMeterStep, { needsCamera: false });
+    };
+}
+
+// ==================== MANUAL ENTRY ====================
+
+// Offer "Type it instead" for the current meter after OCR let the user down
+function offerManualEntry() {
+    manualEntryStep = workflow.index;
+    updateManualEntryButton();
+}
+
+function updateManualEntryButton() {
+    if (!manualEntryBtn) return;
+    manualEntryBtn.classList.toggle('hidden', workflow.isSubmitStep() || manualEntryStep !== workflow.index);
+}
+
+// One photo as evidence; no quality gate since nobody has to read it automatically
+async function grabEvidenceFrame() {
+    const video = camera.getVideo();
+
+    if (!video || video.videoWidth === 0) throw new Error(t('errors.videoNotReady'));
+
+    return processor.captureBurst(video, 1);
+}
+
+/**
+ * The user types the reading; the photo is still uploaded as evidence
+ */
+async function processManualStep(meter, images, signal) {
+    try {
+        ensureSession();
+
+        const review = await openReview({
+            imageSrc: URL.createObjectURL(images[0]),
+            reading: '',
+            confidence: null,
+            label: meterName(meter),
+            validate: value => MeterWorkflow.validateReading(meter, value),
+            check: value => [checkPlausibility(meter, value, api.history.getEntries(api.getHistoryOwner(chatId), meter.type))]
+                .filter(Boolean)
+        });
+
+        if (review.action === 'retake') {
+            statusBadge.innerText = t('status.readyFirst', { meter: meterLabel(meter) });
+            statusBadge.style.color = 'white';
+            return;
+        }
+
+        statusBadge.innerText = t('status.uploading', { meter: meterName(meter) });
+        statusBadge.style.color = meter.color;
+
+        await api.saveManualReading(meter.type, images[0], api.storage.getChatId(), {
+            reading: review.reading,
+            override: review.acknowledged[0] || null
+        }, { signal });
+
+        await completeMeterStep(meter);
 
     } catch (error) {
-        throw new Error(`Electricity meter processing failed: ${error.message}`);
+        if (error instanceof RequestCancelledError) throw error;
+        throw new Error(t('errors.manualEntryFailed', { meter: meterLabel(meter), message: describeError(error) }), { cause: error });
+    }
+}
+
+// e.g. "Water: 01234 | Electricity: 5678"
+function formatCapturedSummary(separator = ' | ') {
+    return workflow.meters
+        .map(meter => ({ meter, data: api.storage.getMeterData(meter.type) }))
+        .filter(({ data }) => data)
+        .map(({ meter, data }) => `${meterLabel(meter)}: ${data.queued ? t('status.queued') : data.meter}`)
+        .join(separator);
+}
+
+// The BackButton acts as Retake while the review is open
+async function openReview(options) {
+    const review = reviewScreen.open(options);
+    updateBackButton();
+    try {
+        return await review;
+    } finally {
+        updateBackButton();
     }
 }
 
-async function submitBothReadings() {
+// Show the captured frame with its OCR reading and wait for Retake or Save.
+// Below the meter's minConfidence the reading has to be confirmed explicitly.
+function reviewCapture(result, meter, confident) {
+    if (tg.HapticFeedback) tg.HapticFeedback.notificationOccurred('success');
+
+    return openReview({
+        imageSrc: URL.createObjectURL(result.image),
+        reading: result.meterValue,
+        confidence: result.accuracy,
+        label: meterName(meter),
+        validate: value => MeterWorkflow.validateReading(meter, value),
+        check: value => {
+            // Compared with what this chat submitted before
+            const warnings = [checkPlausibility(meter, value, api.history.getEntries(api.getHistoryOwner(chatId), meter.type))];
+
+            if (!confident) {
+                warnings.push({
+                    issue: 'low-confidence',
+                    message: t('review.lowConfidence', { confidence: formatPercent(result.accuracy) }),
+                    confirmLabel: t('review.confirmReading')
+                });
+            }
+            return warnings.filter(Boolean);
+        }
+    });
+}
+
+async function submitAllReadings(signal) {
     try {
-        statusBadge.innerText = 'Submitting readings...';
+        statusBadge.innerText = t('status.submitting');
         statusBadge.style.color = '#a29bfe';
         captureBtn.disabled = true;
-
-        // logger.log('Starting submission...');
+        setMainButtonBusy(true);
 
         // Final verification before submission
-        const waterData = api.storage.getWaterData();
-        const electricityData = api.storage.getElectricityData();
-        const chatIdStored = api.storage.getChatId();
-
-        // logger.log('Pre-submit check:');
-        // logger.log('- Water data:', waterData);
-        // logger.log('- Electricity data:', electricityData);
-        // logger.log('- Chat ID:', chatIdStored);
-
-        if (!waterData || !electricityData || !chatIdStored) {
-            throw new Error('Missing data. Please recapture meters.');
+        if (!api.storage.isComplete(workflow.meters)) {
+            throw new Error(t('submit.missingData'));
         }
 
+        // Room being submitted, read before storage is cleared
+        const room = getActiveRoom();
+
         // Use storage method
-        const result = await api.submitFromStorage();
+        const result = await api.submitFromStorage({ signal });
 
         // logger.log('Submission result:', result);
 
-        if (result.success) {
+        if (result.success && room) {
+            finishRoomSubmission(t('rooms.roomSubmitted', { room: room.label }));
+
+        } else if (result.success) {
             // SUCCESS
-            statusBadge.innerText = '✓ Readings submitted successfully!';
+            statusBadge.innerText = t('status.submitted');
             statusBadge.style.color = '#00b894';
 
-            captureBtn.innerText = 'Done - Close App';
-
             if (tg.HapticFeedback) tg.HapticFeedback.notificationOccurred('success');
 
             // Show summary
             if (tg.showAlert && result.payload) {
-                tg.showAlert(
-                    `✅ Submitted Successfully!\n\n` +
-                    `Water: ${result.payload.water_meter}\n` +
-                    `Electricity: ${result.payload.electricity_meter}`
-                );
+                const lines = workflow.meters
+                    .map(meter => `${meterLabel(meter)}: ${result.payload[`${meter.type}_meter`]}`)
+                    .join('\n');
+                tg.showAlert(t('submit.alert', { lines }));
             }
 
-            // Change button to close app
-            captureBtn.onclick = () => {
-                if (tg.close) {
-                    tg.close();
-                }
-            };
+            showCloseButton(t('buttons.done'));
 
             // logger.log('✓ Readings submitted successfully:', result);
 
@@ -348,52 +1171,74 @@ async function submitBothReadings() {
                 }
             }, 5000);
 
+        } else if (result.queued) {
+            // Storage is kept until the outbox gets a confirmed receipt
+            submissionQueued = result.rooms;
+
+            if (tg.HapticFeedback) tg.HapticFeedback.notificationOccurred('warning');
+
+            if (room) {
+                // Carry on with the next room while this one waits in the outbox
+                selectRoom(findNextRoom().id);
+                statusBadge.innerText = t('rooms.roomQueued', { room: room.label });
+                statusBadge.style.color = '#fdcb6e';
+                return;
+            }
+
+            statusBadge.innerText = t('status.submissionQueued');
+            statusBadge.style.color = '#fdcb6e';
+            showCloseButton(t('buttons.closeApp'));
+
         } else {
-            throw new Error('Submission failed');
+            throw new Error(t('submit.failed'));
         }
 
     } catch (err) {
-        throw new Error(`Submission failed: ${err.message}`);
+        if (err instanceof RequestCancelledError) throw err;
+        throw new Error(t('submit.failedWithReason', { message: describeError(err) }), { cause: err });
+    } finally {
+        setMainButtonBusy(false);
     }
 }
 
-async function handleDetectionResult(imageBase64) {
-    try {
-        statusBadge.innerText = 'Analyzing meter reading...';
-        const ocrResponse = await api.sendDetectionRequest(imageBase64);
-
-        if (ocrResponse.success) {
-            const meterValue = ocrResponse.reading || "N/A";
-            const confidence = ((ocrResponse.reading_confidence || ocrResponse.meter_confidence || 0) * 100).toFixed(1);
-            const meterType = ocrResponse.meter_type || 'meter';
+// Update the badge and overlay from a processMeterImage result
+function showDetectionResult(result, meter) {
+    const meterValue = result.meterValue ? String(result.meterValue) : t('status.notAvailable');
 
-            statusBadge.innerText = `${meterType}: ${meterValue} (${confidence}%)`;
+    statusBadge.innerText = t('status.detection', {
+        meter: meterLabel(meter),
+        reading: meterValue,
+        confidence: formatPercent(result.accuracy, 1)
+    });
 
-            // Update UI with detection (optional bounding boxes if API provides them)
-            if (ocrResponse.raw && ocrResponse.raw.detections) {
-                drawDetectionBoxes(ocrResponse.raw.detections);
-            }
-        } else {
-            statusBadge.innerText = 'No meter detected';
-        }
+    // Optional bounding boxes if the OCR API provides them, over the live video only
+    if (result.detections.length > 0 && captureCrop) {
+        drawDetectionBoxes(result.detections, meter.color);
+    }
+}
 
-        return ocrResponse;
-    } catch (error) {
-        statusBadge.innerText = 'Analysis skipped';
-        return null;
+function clearOverlay() {
+    if (overlayCtx && overlayCanvas) {
+        overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
     }
 }
 
-function drawDetectionBoxes(detections) {
+function drawDetectionBoxes(detections, color) {
     if (!overlayCtx || !overlayCanvas) return;
 
-    overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+    clearOverlay();
+
+    // Boxes are relative to the cropped image that was sent to OCR
+    const offsetX = captureCrop ? captureCrop.x : 0;
+    const offsetY = captureCrop ? captureCrop.y : 0;
 
     detections.forEach(det => {
-        const [x, y, w, h] = det.box;
+        const [boxX, boxY, w, h] = det.box;
+        const x = boxX + offsetX;
+        const y = boxY + offsetY;
 
         // Draw Box
-        overlayCtx.strokeStyle = currentStep === 0 ? '#0984e3' : '#fdcb6e';
+        overlayCtx.strokeStyle = color;
         overlayCtx.lineWidth = 4;
         overlayCtx.beginPath();
 
@@ -405,7 +1250,7 @@ function drawDetectionBoxes(detections) {
         overlayCtx.stroke();
 
         // Draw Label Background
-        overlayCtx.fillStyle = currentStep === 0 ? '#0984e3' : '#fdcb6e';
+        overlayCtx.fillStyle = color;
         overlayCtx.font = '16px Outfit';
         const labelText = `${det.label}: ${det.text || ''}`;
         const textWidth = overlayCtx.measureText(labelText).width;
@@ -418,41 +1263,104 @@ function drawDetectionBoxes(detections) {
 }
 
 function handleCaptureError(err) {
-    statusBadge.innerText = `Error: ${err.message.substring(0, 40)}...`;
+    // Keep appropriate button state (before the error text, which it would replace)
+    updateUIForStep();
+
+    // The backend rejected initData (expired or tampered)
+    const status = findHttpStatus(err);
+    const sessionRejected = status === 401 || status === 403;
+
+    statusBadge.innerText = sessionRejected
+        ? t('status.sessionExpired')
+        : t('status.error', { message: `${err.message.substring(0, 40)}...` });
     statusBadge.style.color = '#ff7675';
 
     if (tg.HapticFeedback) tg.HapticFeedback.notificationOccurred('error');
 
-    // Keep appropriate button state
-    updateUIForStep(currentStep);
+    // OCR down or failing: let the user type the reading
+    if (!workflow.isSubmitStep() && !sessionRejected) offerManualEntry();
 
     // Clear error after 3 seconds
     setTimeout(() => {
         if (statusBadge.style.color === '#ff7675') {
             statusBadge.style.color = 'white';
-            updateUIForStep(currentStep);
+            updateUIForStep();
         }
     }, 3000);
 }
 
+// Step errors are re-thrown with the meter in the message; the request error is their cause
+// Request failures in the user's language; other errors are already worded for the user
+function describeError(err) {
+    for (let error = err; error; error = error.cause) {
+        if (error instanceof TimeoutError) return t('errors.timeout', { seconds: Math.round(error.timeout / 1000) });
+        if (error instanceof NetworkError) return t('errors.network');
+        if (error instanceof HttpStatusError) return t('errors.httpStatus', { status: String(error.status) });
+        if (error instanceof BadResponseError) return t('errors.badResponse');
+    }
+    return err.message;
+}
+
+function findHttpStatus(err) {
+    for (let error = err; error; error = error.cause) {
+        if (error instanceof HttpStatusError) return error.status;
+    }
+    return null;
+}
+
+// Refuse to start without a verifiable Telegram session
+function showSessionError() {
+    const sessionError = document.getElementById('session-error');
+    if (sessionError) sessionError.classList.remove('hidden');
+
+    captureBtn.disabled = true;
+    statusBadge.innerText = t('status.openFromTelegram');
+    statusBadge.style.color = '#ff7675';
+}
+
+// A bad or expired deep link: starting unscoped could file readings under the wrong room or month
+function showLinkError(error) {
+    const linkErrorEl = document.getElementById('link-error');
+    if (linkErrorEl) {
+        linkErrorEl.querySelector('p').innerText = error.message;
+        linkErrorEl.classList.remove('hidden');
+    }
+
+    captureBtn.disabled = true;
+    statusBadge.innerText = t('link.badge');
+    statusBadge.style.color = '#ff7675';
+}
+
+// Abort OCR, upload or submission requests that are still running
+function cancelInFlight() {
+    if (requestController) {
+        requestController.abort();
+        requestController = null;
+    }
+}
+
 // Reset function
 function resetApp() {
-    currentStep = 0;
+    cancelInFlight();
+
+    workflow.reset();
     isProcessing = false;
     lastCaptureTime = 0;
+    submissionQueued = null;
+
+    reviewScreen.close();
 
     // Clear storage
     if (api.resetStorage) {
         api.resetStorage();
     }
+    activateRooms(rooms);
 
     // Clear overlay
-    if (overlayCtx && overlayCanvas) {
-        overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
-    }
+    clearOverlay();
 
     // Reset UI
-    updateUIForStep(0);
+    updateUIForStep();
 
     // logger.log('App reset successfully');
 }
@@ -460,16 +1368,10 @@ function resetApp() {
 // Debug function to check storage state
 function debugStorage() {
     const status = api.getProgressStatus();
-    const waterRaw = localStorage.getItem('meter_water_data');
-    const electricityRaw = localStorage.getItem('meter_electricity_data');
-    const chatIdRaw = localStorage.getItem('meter_chat_id');
 
     // console.log('=== STORAGE DEBUG ===');
     // console.log('Status:', status);
-    // console.log('Water (raw):', waterRaw);
-    // console.log('Electricity (raw):', electricityRaw);
-    // console.log('Chat ID (raw):', chatIdRaw);
-    // console.log('Current step:', currentStep);
+    // console.log('Current meter:', workflow.current?.type || 'submit');
     // console.log('Is processing:', isProcessing);
     // console.log('==================');
 
@@ -482,9 +1384,27 @@ window.debugStorage = debugStorage;
 window.api = api; // For manual testing
 
 // Start the app
-document.addEventListener('DOMContentLoaded', startApp);
+document.addEventListener('DOMContentLoaded', () => {
+    if (!hasSession) {
+        showSessionError();
+        return;
+    }
+    if (linkError) {
+        showLinkError(linkError);
+        return;
+    }
+
+    setupOutbox();
+    startApp().catch(error => {
+        statusBadge.innerText = t('status.error', { message: describeError(error) });
+        statusBadge.style.color = '#ff7675';
+    });
+});
 
 // Cleanup
 window.addEventListener('beforeunload', () => {
+    cancelInFlight();
+    autoCapture.stop();
     camera.stop();
+    if (outbox) outbox.stop();
 });
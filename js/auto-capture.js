@@ -0,0 +1,94 @@
+/**
+ * auto-capture.js
+ * Hands-free capture: feeds live video frames to FrameProcessor and reports
+ * when a batch of sharp frames is ready.
+ */
+
+export class AutoCapture {
+    constructor(video, processor) {
+        this.video = video;
+        this.processor = processor;
+        this.running = false;
+        this.handle = null;
+        this.lastAnalysis = 0;
+        this.analyzing = false; // One analysis in flight at a time
+        this.ANALYSIS_INTERVAL = 120; // ms between analysed frames, keeps phones responsive
+        this.callbacks = {};
+    }
+
+    /**
+     * @param {Object} callbacks
+     * @param {Function} callbacks.canCapture - () => boolean, analysis pauses while false
+     * @param {Function} callbacks.onFrame - (quality) => void, quality report of each analysed frame
+     * @param {Function} callbacks.onBatch - (frames) => void, sharpest frames first
+     * @param {Function} callbacks.onPause - () => void, on each frame skipped by canCapture
+     */
+    start(callbacks) {
+        if (this.running) return;
+
+        this.callbacks = callbacks;
+        this.running = true;
+        this.processor.reset();
+        this.scheduleNext();
+    }
+
+    stop() {
+        this.running = false;
+        this.cancelScheduled();
+        this.processor.reset();
+    }
+
+    // Prefer one tick per decoded video frame; fall back to animation frames
+    scheduleNext() {
+        if (!this.running) return;
+
+        if (typeof this.video.requestVideoFrameCallback === 'function') {
+            this.handle = { video: this.video.requestVideoFrameCallback(() => this.tick()) };
+        } else {
+            this.handle = { animation: requestAnimationFrame(() => this.tick()) };
+        }
+    }
+
+    cancelScheduled() {
+        if (!this.handle) return;
+
+        if (this.handle.video !== undefined) {
+            this.video.cancelVideoFrameCallback(this.handle.video);
+        } else {
+            cancelAnimationFrame(this.handle.animation);
+        }
+        this.handle = null;
+    }
+
+    tick() {
+        if (!this.running) return;
+
+        const now = performance.now();
+        const { canCapture, onFrame, onBatch, onPause } = this.callbacks;
+
+        if (!canCapture()) {
+            // Start from a clean buffer once capture is allowed again
+            this.processor.reset();
+            if (onPause) onPause();
+        } else if (!this.analyzing && now - this.lastAnalysis >= this.ANALYSIS_INTERVAL) {
+            this.lastAnalysis = now;
+            this.analyzing = true;
+
+            // Analysis is async (worker), the video keeps playing meanwhile
+            this.processor.process(this.video)
+                .then(frames => {
+                    if (!this.running) return;
+                    if (onFrame) onFrame(this.processor.lastQuality);
+                    if (frames && canCapture()) onBatch(frames);
+                })
+                .catch(() => {
+                    // Skip the frame; the next tick tries again
+                })
+                .finally(() => {
+                    this.analyzing = false;
+                });
+        }
+
+        this.scheduleNext();
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * camera-controls.js
+ * On-screen lens picker, torch, zoom and focus buttons. Each control is shown
+ * only when the camera supports it, and refreshed after every (re)start.
+ */
+
+export class CameraControls {
+    /**
+     * @param {HTMLElement} container
+     * @param {Camera} camera
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onCameraChange - (deviceId) => void, after the user picked another lens
+     * @param {Function} callbacks.onError - (error) => void, when a control could not be applied
+     */
+    constructor(container, camera, { onCameraChange, onError } = {}) {
+        this.container = container;
+        this.camera = camera;
+        this.select = container.querySelector('#camera-select');
+        this.torchBtn = container.querySelector('#torch-btn');
+        this.focusBtn = container.querySelector('#focus-btn');
+        this.zoomSlider = container.querySelector('#zoom-slider');
+        this.onCameraChange = onCameraChange || (() => {});
+        this.onError = onError || (() => {});
+        this.switching = false;
+
+        this.select.onchange = () => this.switchCamera(this.select.value);
+        this.torchBtn.onclick = () => this.toggleTorch();
+        this.focusBtn.onclick = () => this.apply(() => this.camera.refocus());
+        this.zoomSlider.oninput = () => this.apply(() => this.camera.setZoom(this.zoomSlider.value));
+    }
+
+    /**
+     * Rebuild the controls for the active track
+     */
+    async refresh() {
+        const cameras = await this.camera.listCameras().catch(() => []);
+        const activeId = this.camera.getActiveDeviceId();
+
+        this.select.replaceChildren(...cameras.map(({ deviceId, label }) => {
+            const option = document.createElement('option');
+            option.value = deviceId;
+            option.textContent = label;
+            option.selected = deviceId === activeId;
+            return option;
+        }));
+        this.select.classList.toggle('hidden', cameras.length < 2);
+
+        const { torch, torchOn, zoom, focusModes } = this.camera.getCapabilities();
+
+        this.torchBtn.classList.toggle('hidden', !torch);
+        this.setTorchState(torchOn);
+
+        this.focusBtn.classList.toggle('hidden',
+            !focusModes.includes('single-shot') && !focusModes.includes('continuous'));
+
+        this.zoomSlider.classList.toggle('hidden', !zoom);
+        if (zoom) {
+            this.zoomSlider.min = zoom.min;
+            this.zoomSlider.max = zoom.max;
+            this.zoomSlider.step = zoom.step;
+            this.zoomSlider.value = zoom.value;
+        }
+    }
+
+    setTorchState(on) {
+        this.torchBtn.setAttribute('aria-pressed', String(on));
+    }
+
+    async toggleTorch() {
+        const on = this.torchBtn.getAttribute('aria-pressed') !== 'true';
+        if (await this.apply(() => this.camera.setTorch(on))) {
+            this.setTorchState(on);
+        }
+    }
+
+    async switchCamera(deviceId) {
+        if (this.switching) return;
+
+        this.switching = true;
+        this.select.disabled = true;
+
+        try {
+            await this.camera.useCamera(deviceId);
+            this.onCameraChange(this.camera.getActiveDeviceId() || deviceId);
+        } catch (error) {
+            this.onError(error);
+            // Back to the default lens so the user is not left without a picture
+            await this.camera.useCamera(null).catch(() => {});
+        } finally {
+            this.switching = false;
+            this.select.disabled = false;
+            await this.refresh();
+        }
+    }
+
+    /**
+     * Apply a track setting, reporting failures instead of throwing
+     * @returns {Promise<boolean>} Whether the setting was applied
+     */
+    async apply(change) {
+        try {
+            await change();
+            return true;
+        } catch (error) {
+            this.onError(error);
+            return false;
+        }
+    }
+}
@@ -1,12 +1,59 @@
 /**
  * camera.js
  * Handles camera access and video stream management.
+ *
+ * Torch, zoom and focus are exposed only where the active track reports them in
+ * getCapabilities(); most desktop browsers and iOS report none of them.
+ *
+ * Status changes ('starting', 'active', 'paused', 'stopped', 'denied', 'error')
+ * are published through onStatusChange so the app can react to them.
  */
 
+import { t } from './i18n.js';
+
+// getUserMedia failures worth retrying with looser constraints
+const RECOVERABLE_ERRORS = ['OverconstrainedError', 'ConstraintNotSatisfiedError', 'NotFoundError',
+    'DevicesNotFoundError', 'NotReadableError', 'TrackStartError', 'AbortError'];
+
+export class CameraError extends Error {
+    /**
+     * @param {string} message - User-facing message
+     * @param {string} reason - 'denied' | 'not-found' | 'in-use' | 'insecure' | 'unsupported' | 'timeout' | 'unknown'
+     * @param {Error} cause - Original error, if any
+     */
+    constructor(message, reason, cause = null) {
+        super(message);
+        this.name = 'CameraError';
+        this.reason = reason;
+        this.cause = cause;
+    }
+}
+
+function toCameraError(error) {
+    if (error instanceof CameraError) return error;
+
+    if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError' || error.name === 'SecurityError') {
+        return new CameraError(t('camera.denied'), 'denied', error);
+    }
+    if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
+        return new CameraError(t('camera.notFound'), 'not-found', error);
+    }
+    if (error.name === 'NotReadableError' || error.name === 'TrackStartError') {
+        return new CameraError(t('camera.inUse'), 'in-use', error);
+    }
+    return new CameraError(error.message || t('camera.failed'), 'unknown', error);
+}
+
 export class Camera {
-    constructor(videoElement) {
+    /**
+     * @param {HTMLVideoElement} videoElement
+     * @param {Object} options
+     * @param {string} options.deviceId - Lens picked earlier by the user, used instead of facingMode
+     */
+    constructor(videoElement, { deviceId = null } = {}) {
         this.video = videoElement;
         this.stream = null;
+        this.deviceId = deviceId;
         this.constraints = {
             audio: false,
             video: {
@@ -15,59 +62,175 @@ export class Camera {
                 height: { ideal: 720 }
             }
         };
+        this.LOAD_TIMEOUT = 10000; // ms for the first frame once the stream is granted
+
+        this.status = 'stopped';
+        this.listeners = new Set();
+        this.starting = null; // Promise of the start in progress
+        this.generation = 0; // Bumped by stop() so a start in progress knows it was cancelled
     }
 
-    async start(customConstraints = null) {
+    /**
+     * @param {Function} listener - ({ status, error }) => void
+     * @returns {Function} Unsubscribe
+     */
+    onStatusChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    setStatus(status, error = null) {
+        this.status = status;
+        this.listeners.forEach(listener => listener({ status, error }));
+    }
+
+    /**
+     * Start the stream, loosening constraints step by step when the device refuses them.
+     * Concurrent calls share the same attempt.
+     * @param {Object} customConstraints - Only these constraints, without fallbacks
+     */
+    start(customConstraints = null) {
+        if (!this.starting) {
+            const attempt = this.startStream(customConstraints).finally(() => {
+                if (this.starting === attempt) this.starting = null;
+            });
+            this.starting = attempt;
+        }
+        return this.starting;
+    }
+
+    // Make a start in progress give up once getUserMedia or the first frame returns
+    cancelStart() {
+        this.generation++;
+        this.starting = null;
+    }
+
+    async startStream(customConstraints) {
+        const generation = ++this.generation;
+        this.setStatus('starting');
+
         try {
             // CRITICAL FIX: Check if getUserMedia exists
             if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
                 // Check if the issue is likely due to insecure context (HTTP vs HTTPS)
                 if (!window.isSecureContext) {
-                    throw new Error('Camera requires HTTPS. Please use a secure connection (ngrok/localhost).');
+                    throw new CameraError(t('camera.insecureLocal'), 'insecure');
                 }
-                throw new Error('Camera API not supported in this browser');
+                throw new CameraError(t('camera.unsupported'), 'unsupported');
             }
 
             // CRITICAL FIX: Check if we're on HTTPS
             if (!window.isSecureContext) {
-                throw new Error('Camera requires HTTPS. GitHub Pages provides HTTPS automatically.');
+                throw new CameraError(t('camera.insecure'), 'insecure');
             }
 
-            // Use custom constraints if provided, otherwise use defaults
-            const constraints = customConstraints || this.constraints;
+            const stream = await this.requestStream(customConstraints ? [customConstraints] : this.getConstraintLadder());
 
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-            this.video.srcObject = this.stream;
-
-            return new Promise((resolve, reject) => {
-                this.video.onloadedmetadata = () => {
-                    this.video.play().then(resolve).catch(reject);
-                };
+            // stop() was called while the permission prompt was open
+            if (generation !== this.generation) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
 
-                // Add timeout in case video never loads
-                setTimeout(() => {
-                    reject(new Error('Camera video failed to load'));
-                }, 5000);
-            });
+            this.stream = stream;
+            this.video.srcObject = stream;
+            await this.waitForVideo();
 
+            this.setStatus('active');
         } catch (error) {
-            // Provide user-friendly error messages
-            let userMessage = error.message;
-
-            if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
-                userMessage = 'Camera access was denied. Please allow camera permissions and try again.';
-            } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
-                userMessage = 'No camera found on your device.';
-            } else if (error.name === 'NotReadableError' || error.name === 'TrackStartError') {
-                userMessage = 'Camera is already in use by another application.';
+            // Cancelled by stop() or pause(): nothing to report
+            if (generation !== this.generation) return;
+
+            const cameraError = toCameraError(error);
+
+            console.error('Camera error:', cameraError.reason, error.name, error.message);
+            this.releaseStream();
+            this.setStatus(cameraError.reason === 'denied' ? 'denied' : 'error', cameraError);
+            throw cameraError;
+        }
+    }
+
+    /**
+     * Try each set of constraints in order until one is granted.
+     * Permission and security errors end the ladder right away.
+     */
+    async requestStream(ladder) {
+        let lastError = null;
+
+        for (const constraints of ladder) {
+            try {
+                const stream = await navigator.mediaDevices.getUserMedia(constraints);
+
+                // Fell past the remembered lens (other phone, unplugged webcam): forget it
+                if (this.deviceId && !constraints.video?.deviceId) this.deviceId = null;
+                return stream;
+            } catch (error) {
+                if (!RECOVERABLE_ERRORS.includes(error.name)) throw error;
+                lastError = error;
             }
+        }
+
+        throw lastError;
+    }
 
-            console.error('Camera error:', error.name, error.message);
-            throw new Error(userMessage);
+    /**
+     * Preferred constraints first, then progressively looser ones
+     */
+    getConstraintLadder() {
+        const { facingMode, width, height } = this.constraints.video;
+        const ladder = [];
+
+        if (this.deviceId) {
+            const deviceId = { exact: this.deviceId };
+            ladder.push(
+                { audio: false, video: { deviceId, width, height } },
+                { audio: false, video: { deviceId } }
+            );
         }
+
+        ladder.push(
+            this.constraints,
+            { audio: false, video: { facingMode } }, // Any resolution
+            { audio: false, video: true } // Any camera
+        );
+
+        return ladder;
     }
 
-    stop() {
+    /**
+     * Resolve once the first frame plays; the timer is always cleared
+     */
+    waitForVideo() {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                finish();
+                reject(new CameraError(t('camera.loadTimeout'), 'timeout'));
+            }, this.LOAD_TIMEOUT);
+
+            const finish = () => {
+                clearTimeout(timer);
+                this.video.onloadedmetadata = null;
+            };
+
+            const play = () => {
+                this.video.play().then(() => {
+                    finish();
+                    resolve();
+                }, error => {
+                    finish();
+                    reject(error);
+                });
+            };
+
+            if (this.video.readyState >= HTMLMediaElement.HAVE_METADATA) {
+                play();
+            } else {
+                this.video.onloadedmetadata = play;
+            }
+        });
+    }
+
+    releaseStream() {
         if (this.stream) {
             this.stream.getTracks().forEach(track => track.stop());
             this.stream = null;
@@ -75,10 +238,128 @@ export class Camera {
         }
     }
 
+    stop() {
+        this.cancelStart();
+        this.releaseStream();
+        if (this.status !== 'stopped') this.setStatus('stopped');
+    }
+
+    /**
+     * Release the camera while the app is in the background
+     */
+    pause() {
+        if (this.status !== 'active' && this.status !== 'starting') return;
+
+        this.cancelStart();
+        this.releaseStream();
+        this.setStatus('paused');
+    }
+
+    /**
+     * Restart the stream if it was paused for the background
+     * @returns {Promise<void>}
+     */
+    async resume() {
+        if (this.status !== 'paused') return;
+        return this.start();
+    }
+
     getVideo() {
         return this.video;
     }
 
+    getTrack() {
+        return this.stream ? this.stream.getVideoTracks()[0] || null : null;
+    }
+
+    /**
+     * Device id of the lens that is actually streaming
+     */
+    getActiveDeviceId() {
+        const track = this.getTrack();
+        return track?.getSettings ? track.getSettings().deviceId || null : null;
+    }
+
+    /**
+     * Video inputs of the device. Labels are empty until camera permission is granted.
+     * @returns {Promise<Array<{deviceId: string, label: string}>>}
+     */
+    async listCameras() {
+        if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput' && device.deviceId)
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || t('camera.lens', { number: index + 1 })
+            }));
+    }
+
+    /**
+     * Restart the stream on another lens (null for the default back camera)
+     */
+    async useCamera(deviceId) {
+        this.deviceId = deviceId || null;
+        this.stop();
+        return this.start();
+    }
+
+    /**
+     * What the active track lets us control
+     * @returns {{torch: boolean, torchOn: boolean, zoom: Object|null, focusModes: string[]}}
+     *          zoom is { min, max, step, value } when supported
+     */
+    getCapabilities() {
+        const track = this.getTrack();
+        const capabilities = track?.getCapabilities ? track.getCapabilities() : {};
+        const settings = track?.getSettings ? track.getSettings() : {};
+
+        return {
+            torch: !!capabilities.torch,
+            torchOn: !!settings.torch,
+            zoom: capabilities.zoom && capabilities.zoom.max > capabilities.zoom.min
+                ? {
+                    min: capabilities.zoom.min,
+                    max: capabilities.zoom.max,
+                    step: capabilities.zoom.step || 0.1,
+                    value: settings.zoom ?? capabilities.zoom.min
+                }
+                : null,
+            focusModes: capabilities.focusMode || []
+        };
+    }
+
+    async applyTrackConstraint(constraint) {
+        const track = this.getTrack();
+        if (!track) throw new Error(t('camera.notRunning'));
+
+        await track.applyConstraints({ advanced: [constraint] });
+    }
+
+    setTorch(on) {
+        return this.applyTrackConstraint({ torch: !!on });
+    }
+
+    setZoom(value) {
+        return this.applyTrackConstraint({ zoom: Number(value) });
+    }
+
+    /**
+     * Run autofocus again, e.g. after moving closer to a small dial
+     */
+    refocus() {
+        const { focusModes } = this.getCapabilities();
+
+        if (focusModes.includes('single-shot')) {
+            return this.applyTrackConstraint({ focusMode: 'single-shot' });
+        }
+        if (focusModes.includes('continuous')) {
+            return this.applyTrackConstraint({ focusMode: 'continuous' });
+        }
+        return Promise.resolve();
+    }
+
     isPlaying() {
         return !!this.stream && !this.video.paused && !this.video.ended;
     }
@@ -91,6 +372,7 @@ export class Camera {
         const newFacingMode = currentFacingMode === 'environment' ? 'user' : 'environment';
 
         this.constraints.video.facingMode = newFacingMode;
+        this.deviceId = null;
 
         // Stop current stream
         this.stop();
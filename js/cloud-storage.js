@@ -0,0 +1,109 @@
+/**
+ * cloud-storage.js
+ * Promise wrapper around Telegram's CloudStorage (Bot API 6.9+): a small
+ * key-value store per user and bot that every Telegram client of the user sees.
+ * MeterStorageService mirrors the session into it so a capture started on the
+ * phone can be finished on the desktop (see MeterStorageService.syncFromCloud).
+ *
+ * Cloud keys allow only A-Z, a-z, 0-9, _ and - (1-128 characters), so storage
+ * keys are escaped: every other character becomes -XX (hex). Values hold at
+ * most 4096 characters.
+ */
+
+const MAX_VALUE_LENGTH = 4096;
+
+function toCloudKey(key) {
+    return key.replace(/[^A-Za-z0-9_]/g, char => `-${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+function fromCloudKey(cloudKey) {
+    return cloudKey.replace(/-([0-9a-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+export class CloudStorageBackend {
+    /**
+     * @param {Object} cloudStorage - tg.CloudStorage
+     * @param {Object} options
+     * @param {number} options.timeout - ms to wait for Telegram before giving up on a call
+     */
+    constructor(cloudStorage, { timeout = 5000 } = {}) {
+        this.cloudStorage = cloudStorage;
+        this.timeout = timeout;
+        this.writes = Promise.resolve(); // Writes run one at a time, in order
+    }
+
+    static isSupported(tg) {
+        return !!tg?.CloudStorage && typeof tg.isVersionAtLeast === 'function' && tg.isVersionAtLeast('6.9');
+    }
+
+    // Callback API to a promise; clients that never answer time out
+    call(method, ...args) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`CloudStorage.${method} timed out`)), this.timeout);
+
+            try {
+                this.cloudStorage[method](...args, (error, result) => {
+                    clearTimeout(timer);
+                    if (error) {
+                        reject(new Error(`CloudStorage.${method} failed: ${error}`));
+                    } else {
+                        resolve(result);
+                    }
+                });
+            } catch (error) {
+                clearTimeout(timer);
+                reject(error);
+            }
+        });
+    }
+
+    queueWrite(work) {
+        const result = this.writes.then(work);
+        this.writes = result.catch(() => {
+            // A failed write must not block the ones after it
+        });
+        return result;
+    }
+
+    /**
+     * Store `value` as JSON under a storage key
+     * @throws {Error} When the value is over the 4096 character limit or Telegram refuses it
+     */
+    setItem(key, value) {
+        const data = JSON.stringify(value);
+        if (data.length > MAX_VALUE_LENGTH) {
+            return Promise.reject(new Error(`CloudStorage value for ${key} is over ${MAX_VALUE_LENGTH} characters`));
+        }
+        return this.queueWrite(() => this.call('setItem', toCloudKey(key), data));
+    }
+
+    removeItems(keys) {
+        if (keys.length === 0) return Promise.resolve();
+        return this.queueWrite(() => this.call('removeItems', keys.map(toCloudKey)));
+    }
+
+    /**
+     * Every stored value whose storage key starts with `prefix`; values that are
+     * not valid JSON are skipped
+     * @returns {Promise<Map<string, *>>} Storage key => value
+     */
+    async getItems(prefix = '') {
+        await this.writes; // Read what was written before
+        const cloudKeys = (await this.call('getKeys'))
+            .filter(cloudKey => fromCloudKey(cloudKey).startsWith(prefix));
+
+        const items = new Map();
+        if (cloudKeys.length === 0) return items;
+
+        const values = await this.call('getItems', cloudKeys);
+        cloudKeys.forEach(cloudKey => {
+            try {
+                items.set(fromCloudKey(cloudKey), JSON.parse(values[cloudKey]));
+            } catch (error) {
+                // Not ours or corrupt: ignored
+            }
+        });
+
+        return items;
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * frame-analysis.js
+ * Pure frame quality scoring, shared by the analysis worker and the main-thread fallback.
+ */
+
+// A frame is usable only when every check passes
+export const DEFAULT_QUALITY_THRESHOLDS = {
+    minSharpness: 80,       // Variance of the Laplacian
+    minLuminance: 45,       // Mean luma (0-255), below = too dark
+    maxLuminance: 215,      // Mean luma, above = washed out
+    maxDarkClipped: 0.35,   // Share of pixels crushed to black
+    maxGlare: 0.02,         // Share of specular (white, clipped) pixels
+    minContrast: 18         // RMS contrast (luma standard deviation)
+};
+
+/**
+ * Region of the frame to analyse: a 300x300 centre crop.
+ * A full 1080p frame every tick is too heavy for JS on mobile.
+ */
+export function getAnalysisRegion(width, height, sampleSize = 300) {
+    const w = Math.min(width, sampleSize);
+    const h = Math.min(height, sampleSize);
+    return {
+        x: Math.floor((width - w) / 2),
+        y: Math.floor((height - h) / 2),
+        width: w,
+        height: h
+    };
+}
+
+/**
+ * Quality report for a frame: sharpness, exposure, glare and contrast.
+ * @param {Uint8ClampedArray} data - RGBA pixels of the analysis region
+ * @param {number} w - Region width
+ * @param {number} h - Region height
+ * @param {Object} thresholds - See DEFAULT_QUALITY_THRESHOLDS
+ * @returns {{sharpness: number, luminance: number, darkClipped: number, brightClipped: number,
+ *            glare: number, contrast: number, issues: string[], ok: boolean}}
+ */
+export function analyzeQuality(data, w, h, thresholds = DEFAULT_QUALITY_THRESHOLDS) {
+    const pixels = w * h;
+
+    // Grayscale plus exposure statistics in one pass
+    const grayData = new Uint8Array(pixels);
+    let lumaSum = 0;
+    let lumaSqSum = 0;
+    let dark = 0;
+    let bright = 0;
+    let specular = 0;
+
+    for (let i = 0, j = 0; i < data.length; i += 4, j++) {
+        const r = data[i];
+        const g = data[i + 1];
+        const b = data[i + 2];
+        // RGB -> Luma
+        const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+
+        grayData[j] = luma;
+        lumaSum += luma;
+        lumaSqSum += luma * luma;
+
+        if (luma <= 8) dark++;
+        if (luma >= 247) {
+            bright++;
+            // Specular glare is white: every channel clipped, not just a bright colour
+            if (Math.min(r, g, b) >= 240) specular++;
+        }
+    }
+
+    // Variance of the Laplacian (basic edge detection), skipping boundaries
+    // [0,  1, 0]
+    // [1, -4, 1]
+    // [0,  1, 0]
+    let sum = 0;
+    let sumSq = 0;
+    let count = 0;
+
+    for (let y = 1; y < h - 1; y++) {
+        for (let x = 1; x < w - 1; x++) {
+            const i = y * w + x;
+            const laplacian =
+                grayData[i - w] +       // Top
+                grayData[i - 1] +       // Left
+                grayData[i + 1] +       // Right
+                grayData[i + w] -       // Bottom
+                (4 * grayData[i]);      // Center
+
+            sum += laplacian;
+            sumSq += laplacian * laplacian;
+            count++;
+        }
+    }
+
+    const lapMean = count ? sum / count : 0;
+    const luminance = lumaSum / pixels;
+
+    const report = {
+        sharpness: count ? sumSq / count - lapMean * lapMean : 0,
+        luminance: luminance,
+        darkClipped: dark / pixels,
+        brightClipped: bright / pixels,
+        glare: specular / pixels,
+        contrast: Math.sqrt(Math.max(0, lumaSqSum / pixels - luminance * luminance))
+    };
+
+    report.issues = findIssues(report, thresholds);
+    report.ok = report.issues.length === 0;
+    return report;
+}
+
+/**
+ * Failed checks, most actionable first:
+ * 'dark', 'bright', 'glare', 'blurry', 'low-contrast'
+ */
+export function findIssues(report, t = DEFAULT_QUALITY_THRESHOLDS) {
+    const issues = [];
+
+    if (report.luminance < t.minLuminance || report.darkClipped > t.maxDarkClipped) issues.push('dark');
+    if (report.luminance > t.maxLuminance) issues.push('bright');
+    if (report.glare > t.maxGlare) issues.push('glare');
+    if (report.sharpness < t.minSharpness) issues.push('blurry');
+    if (report.contrast < t.minContrast) issues.push('low-contrast');
+
+    return issues;
+}
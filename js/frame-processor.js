@@ -1,8 +1,19 @@
 /**
  * frame-processor.js
  * Analyzes video frames to find the best quality images.
+ *
+ * Scoring runs in a Web Worker (OffscreenCanvas + transferred ImageBitmap) where
+ * available, and synchronously on the main thread otherwise. Frames are kept as
+ * ImageBitmaps and only the ones that get selected are encoded to a compressed
+ * Blob (see image-encoder.js).
+ *
+ * When a region of interest is set (the targeting guide), analysis uses that
+ * region and frames are cropped to it plus CROP_MARGIN before encoding.
  */
 
+import { analyzeQuality, getAnalysisRegion, DEFAULT_QUALITY_THRESHOLDS } from './frame-analysis.js';
+import { encodeImage, IMAGE_OPTIONS } from './image-encoder.js';
+
 export class FrameProcessor {
     constructor() {
         // Offscreen canvas for processing
@@ -10,142 +21,243 @@ export class FrameProcessor {
         this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
         this.buffer = []; // Store potential good frames
         this.BUFFER_SIZE = 5; // Keep analysis rolling window short
-        this.MIN_SHARPNESS_THRESHOLD = 20; // Lowered threshold for easier detection
+        this.BATCH_SIZE = 2; // Sharp frames returned per batch (more for OCR consensus)
+        this.IMAGE_OPTIONS = { ...IMAGE_OPTIONS }; // Size and format of encoded frames
+        this.lastQuality = null; // Report of the most recent frame, for UI feedback
+        this.QUALITY_THRESHOLDS = { ...DEFAULT_QUALITY_THRESHOLDS };
+
+        // () => { x, y, width, height } in video pixels, or null for the centre crop
+        this.regionProvider = null;
+        this.CROP_MARGIN = 0.15; // Extra context around the region, as a share of its size
+
+        this.worker = null;
+        this.pending = new Map(); // Worker request id -> { resolve, reject }
+        this.nextId = 0;
+        this.startWorker();
+    }
+
+    static supportsWorker() {
+        return typeof Worker !== 'undefined'
+            && typeof OffscreenCanvas !== 'undefined'
+            && typeof createImageBitmap === 'function';
+    }
+
+    startWorker() {
+        if (!FrameProcessor.supportsWorker()) return;
+
+        try {
+            this.worker = new Worker(new URL('./frame-worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = ({ data }) => {
+                const request = this.pending.get(data.id);
+                if (!request) return;
+
+                this.pending.delete(data.id);
+                if (data.error) {
+                    request.reject(new Error(data.error));
+                } else {
+                    request.resolve(data.quality);
+                }
+            };
+            this.worker.onerror = () => this.disableWorker();
+        } catch (error) {
+            this.worker = null;
+        }
+    }
+
+    // Fall back to main-thread analysis for the rest of the session
+    disableWorker() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+
+        this.pending.forEach(request => request.reject(new Error('Frame worker stopped')));
+        this.pending.clear();
     }
 
     /**
-     * Captures a single frame immediately (Manual Mode).
-     * @param {HTMLVideoElement} video 
-     * @returns {Array} Array containing the single captured frame.
+     * Drop buffered frames, e.g. after a capture or when auto mode pauses
      */
-    async captureImmediate(video) {
-        if (!video || video.videoWidth === 0) return null;
+    reset() {
+        this.buffer.forEach(frame => this.releaseFrame(frame));
+        this.buffer = [];
+        this.lastQuality = null;
+    }
+
+    releaseFrame(frame) {
+        if (frame.bitmap) {
+            frame.bitmap.close();
+            frame.bitmap = null;
+        }
+    }
+
+    /**
+     * Region of interest in video pixels, and the wider crop that gets kept
+     */
+    getRegions(video) {
+        const videoWidth = video.videoWidth;
+        const videoHeight = video.videoHeight;
+        const roi = this.regionProvider ? this.regionProvider() : null;
+
+        if (!roi || roi.width < 16 || roi.height < 16) {
+            // No guide: analyse the centre, keep the whole frame
+            return {
+                analysis: getAnalysisRegion(videoWidth, videoHeight),
+                crop: { x: 0, y: 0, width: videoWidth, height: videoHeight }
+            };
+        }
+
+        const marginX = Math.round(roi.width * this.CROP_MARGIN);
+        const marginY = Math.round(roi.height * this.CROP_MARGIN);
+        const x = Math.max(0, roi.x - marginX);
+        const y = Math.max(0, roi.y - marginY);
+
+        return {
+            analysis: roi,
+            crop: {
+                x: x,
+                y: y,
+                width: Math.min(videoWidth, roi.x + roi.width + marginX) - x,
+                height: Math.min(videoHeight, roi.y + roi.height + marginY) - y
+            }
+        };
+    }
+
+    /**
+     * Snapshot the current video frame and score it
+     * @returns {Promise<Object>} { timestamp, sharpness, quality, crop, bitmap } or { ..., blob }
+     *          when ImageBitmap is not supported and the frame had to be encoded right away.
+     *          `crop` is where the kept image sits in the video frame.
+     */
+    async analyzeFrame(video) {
+        const { analysis, crop } = this.getRegions(video);
+
+        if (this.worker) {
+            const bitmap = await createImageBitmap(video, crop.x, crop.y, crop.width, crop.height);
+            const region = await createImageBitmap(bitmap,
+                analysis.x - crop.x, analysis.y - crop.y, analysis.width, analysis.height);
+
+            try {
+                const quality = await this.analyzeInWorker(region);
+                return { timestamp: Date.now(), sharpness: quality.sharpness, quality, crop, bitmap };
+            } catch (error) {
+                // Worker could not analyse (e.g. no 2D context there): stop using it
+                this.disableWorker();
+                bitmap.close();
+                return this.analyzeFrame(video);
+            }
+        }
 
-        if (this.canvas.width !== video.videoWidth) {
+        // Synchronous fallback on the main thread
+        if (this.canvas.width !== video.videoWidth || this.canvas.height !== video.videoHeight) {
             this.canvas.width = video.videoWidth;
             this.canvas.height = video.videoHeight;
         }
-
         this.ctx.drawImage(video, 0, 0);
 
-        const frame = {
-            timestamp: Date.now(),
-            dataUrl: this.canvas.toDataURL('image/jpeg', 0.95)
-        };
+        const pixels = this.ctx.getImageData(analysis.x, analysis.y, analysis.width, analysis.height).data;
+        const quality = analyzeQuality(pixels, analysis.width, analysis.height, this.QUALITY_THRESHOLDS);
+        const frame = { timestamp: Date.now(), sharpness: quality.sharpness, quality, crop };
 
-        return [frame];
+        // Keep the frame without encoding it when possible
+        if (typeof createImageBitmap === 'function') {
+            frame.bitmap = await createImageBitmap(this.canvas, crop.x, crop.y, crop.width, crop.height);
+        } else {
+            const cropped = document.createElement('canvas');
+            cropped.width = crop.width;
+            cropped.height = crop.height;
+            cropped.getContext('2d').drawImage(this.canvas, crop.x, crop.y, crop.width, crop.height,
+                0, 0, crop.width, crop.height);
+            frame.blob = await encodeImage(cropped, this.IMAGE_OPTIONS);
+        }
+        return frame;
+    }
+
+    analyzeInWorker(crop) {
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, bitmap: crop, thresholds: this.QUALITY_THRESHOLDS }, [crop]);
+        });
     }
 
     /**
-     * Processing Loop
-     * @param {HTMLVideoElement} video 
-     * @returns {Object|null} A result object if we have a qualified batch, else null.
+     * Encode a selected frame to a compressed Blob and release its bitmap
      */
-    process(video) {
+    async encodeFrame(frame) {
+        try {
+            if (!frame.blob && frame.bitmap) {
+                frame.blob = await encodeImage(frame.bitmap, this.IMAGE_OPTIONS);
+            }
+        } finally {
+            this.releaseFrame(frame);
+        }
+        return frame;
+    }
+
+    /**
+     * Captures a short burst and keeps the sharpest frames (Manual Mode with OCR consensus).
+     * @param {HTMLVideoElement} video
+     * @param {number} count - Frames to return
+     * @param {number} interval - ms between grabbed frames
+     * @returns {Promise<Array>} Frames with quality reports, best first
+     */
+    async captureBurst(video, count = this.BATCH_SIZE, interval = 80) {
         if (!video || video.videoWidth === 0) return null;
 
-        // Sync canvas size
-        if (this.canvas.width !== video.videoWidth) {
-            this.canvas.width = video.videoWidth;
-            this.canvas.height = video.videoHeight;
+        // Grab twice as many frames as needed so blurry ones can be dropped
+        const frames = [];
+        for (let i = 0; i < count * 2; i++) {
+            if (i > 0) await new Promise(resolve => setTimeout(resolve, interval));
+            frames.push(await this.analyzeFrame(video));
         }
 
-        // Draw frame
-        this.ctx.drawImage(video, 0, 0);
+        // Usable frames first, then sharpest
+        frames.sort((a, b) => (b.quality.ok - a.quality.ok) || (b.sharpness - a.sharpness));
+        this.lastQuality = frames[0].quality;
+
+        frames.slice(count).forEach(frame => this.releaseFrame(frame));
+        return Promise.all(frames.slice(0, count).map(frame => this.encodeFrame(frame)));
+    }
+
+    /**
+     * Processing Loop
+     * @param {HTMLVideoElement} video
+     * @returns {Promise<Array|null>} The best frames if we have a qualified batch, else null.
+     */
+    async process(video) {
+        if (!video || video.videoWidth === 0) return null;
 
         // Analyze
-        const sharpness = this.calculateSharpness(this.ctx, this.canvas.width, this.canvas.height);
+        const frame = await this.analyzeFrame(video);
+        this.lastQuality = frame.quality;
 
         // Add to buffer
-        this.buffer.push({
-            timestamp: Date.now(),
-            sharpness: sharpness,
-            blob: null, // We'll convert to blob only if we select it to save memory, or lazy load? 
-            // Actually, to send "best 2", we might need the image data.
-            // For performance, let's store the DataURL or just the score for now, 
-            // but we can't go back in time to get the blob. 
-            // So we MUST capture the image data now.
-            dataUrl: this.canvas.toDataURL('image/jpeg', 0.8)
-        });
+        this.buffer.push(frame);
 
         // Maintain buffer size
-        if (this.buffer.length > this.BUFFER_SIZE) {
-            this.buffer.shift();
+        if (this.buffer.length > Math.max(this.BUFFER_SIZE, this.BATCH_SIZE)) {
+            this.releaseFrame(this.buffer.shift());
         }
 
         // Auto-detection logic:
         // If we have enough frames and they are sharp enough, trigger a "Detection Event"
-        // For this demo, let's say if we have 2 frames > threshold in the buffer, return them.
+        // Once BATCH_SIZE frames in the buffer pass every quality check, return them.
 
-        const goodFrames = this.buffer.filter(f => f.sharpness > this.MIN_SHARPNESS_THRESHOLD);
+        const goodFrames = this.buffer.filter(f => f.quality.ok);
 
-        if (goodFrames.length >= 2) {
+        if (goodFrames.length >= this.BATCH_SIZE) {
             // Sort by sharpness descending
             goodFrames.sort((a, b) => b.sharpness - a.sharpness);
 
-            // Pick top 2
-            const top2 = goodFrames.slice(0, 2);
+            // Encode only the top frames; the rest of the buffer is released
+            const topFrames = goodFrames.slice(0, this.BATCH_SIZE);
+            this.buffer = this.buffer.filter(f => !topFrames.includes(f));
 
             // Clear buffer to prevent re-sending the same frames immediately
-            const result = [...top2];
-            this.buffer = [];
-            return result;
+            this.reset();
+            return Promise.all(topFrames.map(f => this.encodeFrame(f)));
         }
 
         return null;
     }
-
-    /**
-     * Simple Laplacian Variance algorithm to estimate "blurriness"
-     * Higher score = Sharper
-     */
-    calculateSharpness(ctx, width, height) {
-        // Performance optimization: Analyze a smaller center crop or downsampled version
-        // Analyzing full 1080p frame every tick is too heavy for JS on mobile.
-        // Let's analyze a 300x300 center crop.
-
-        const sampleSize = 300;
-        const startX = Math.max(0, (width - sampleSize) / 2);
-        const startY = Math.max(0, (height - sampleSize) / 2);
-        const w = Math.min(width, sampleSize);
-        const h = Math.min(height, sampleSize);
-
-        const imageData = ctx.getImageData(startX, startY, w, h);
-        const data = imageData.data;
-
-        // Convert to grayscale
-        const grayData = new Uint8Array(w * h);
-        for (let i = 0, j = 0; i < data.length; i += 4, j++) {
-            // RGB -> Luma
-            grayData[j] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
-        }
-
-        // Calculate Laplacian Kernel (basic edge detection)
-        // [0,  1, 0]
-        // [1, -4, 1]
-        // [0,  1, 0]
-        // We skip boundaries for simplicity
-
-        let sum = 0;
-        let count = 0;
-
-        for (let y = 1; y < h - 1; y++) {
-            for (let x = 1; x < w - 1; x++) {
-                const i = y * w + x;
-                const laplacian =
-                    grayData[i - w] +       // Top
-                    grayData[i - 1] +       // Left
-                    grayData[i + 1] +       // Right
-                    grayData[i + w] -       // Bottom
-                    (4 * grayData[i]);      // Center
-
-                sum += Math.abs(laplacian);
-                count++;
-            }
-        }
-
-        const mean = sum / count;
-        // Variance usually used, but mean edge intensity is a good enough proxy for sharpness speed
-        return mean;
-    }
 }
@@ -0,0 +1,33 @@
+/**
+ * frame-worker.js
+ * Scores frames off the main thread. Receives a cropped ImageBitmap (transferred),
+ * draws it on an OffscreenCanvas and replies with its quality report.
+ */
+
+import { analyzeQuality } from './frame-analysis.js';
+
+let canvas = null;
+let ctx = null;
+
+self.onmessage = ({ data }) => {
+    const { id, bitmap, thresholds } = data;
+
+    try {
+        if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+            canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+            ctx = canvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        // Some browsers have OffscreenCanvas but no 2D context in workers
+        if (!ctx) throw new Error('2D context not available in worker');
+
+        ctx.drawImage(bitmap, 0, 0);
+        const pixels = ctx.getImageData(0, 0, bitmap.width, bitmap.height).data;
+
+        self.postMessage({ id, quality: analyzeQuality(pixels, bitmap.width, bitmap.height, thresholds) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    } finally {
+        bitmap.close();
+    }
+};
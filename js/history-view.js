@@ -0,0 +1,99 @@
+/**
+ * history-view.js
+ * Lists past submitted readings per meter with the consumption since the
+ * reading before it.
+ */
+
+import { getConsumption } from './reading-history.js';
+import { t, formatDate, meterLabel } from './i18n.js';
+
+export class HistoryView {
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onClose - () => void, after the panel was hidden
+     */
+    constructor(container, { onClose } = {}) {
+        this.container = container;
+        this.onClose = onClose || (() => {});
+        this.list = container.querySelector('#history-list');
+        this.closeBtn = container.querySelector('#history-close-btn');
+
+        this.closeBtn.onclick = () => this.close();
+    }
+
+    /**
+     * @param {Array<{meter: Object, entries: Array}>} sections - Entries newest first, see ReadingHistory
+     */
+    open(sections) {
+        this.list.replaceChildren(...sections.map(({ meter, entries }) => this.renderSection(meter, entries)));
+        this.container.classList.remove('hidden');
+    }
+
+    close() {
+        this.container.classList.add('hidden');
+        this.onClose();
+    }
+
+    isOpen() {
+        return !this.container.classList.contains('hidden');
+    }
+
+    renderSection(meter, entries) {
+        const section = document.createElement('section');
+        section.className = 'history-section';
+
+        const title = document.createElement('h3');
+        title.textContent = meterLabel(meter);
+        title.style.color = meter.color;
+        section.appendChild(title);
+
+        if (entries.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'history-empty';
+            empty.textContent = t('history.empty');
+            section.appendChild(empty);
+            return section;
+        }
+
+        entries.forEach((entry, index) => {
+            const previous = entries[index + 1];
+            section.appendChild(this.renderEntry(entry, previous, meter));
+        });
+
+        return section;
+    }
+
+    renderEntry(entry, previous, meter) {
+        const row = document.createElement('div');
+        row.className = 'history-entry';
+
+        const date = document.createElement('span');
+        date.className = 'history-date';
+        date.textContent = formatDate(entry.date);
+
+        const value = document.createElement('span');
+        value.className = 'history-value';
+        value.textContent = entry.value;
+
+        const delta = document.createElement('span');
+        delta.className = 'history-delta';
+        const consumption = previous
+            ? getConsumption(previous.value, entry.value, meter.validation?.registerDigits)
+            : null;
+        delta.textContent = consumption !== null ? `+${consumption}`.replace('+-', '−') : '—';
+
+        if (entry.imageUrl) {
+            const link = document.createElement('a');
+            link.href = entry.imageUrl;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.appendChild(value);
+            row.append(date, link, delta);
+        } else {
+            row.append(date, value, delta);
+        }
+
+        return row;
+    }
+}
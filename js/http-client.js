@@ -0,0 +1,174 @@
+/**
+ * http-client.js
+ * Shared fetch wrapper: per-request timeout, bounded exponential retries and cancellation.
+ * Failures are reported as typed errors so callers can tell what went wrong.
+ */
+
+export class RequestError extends Error {
+    constructor(message, { label = 'Request', cause = null } = {}) {
+        super(message);
+        this.name = 'RequestError';
+        this.label = label;
+        this.cause = cause;
+    }
+}
+
+// The request did not finish within its timeout
+export class TimeoutError extends RequestError {
+    constructor(label, timeout) {
+        super(`${label} timed out after ${Math.round(timeout / 1000)}s`, { label });
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+// fetch itself failed: offline, DNS, CORS or a dropped connection
+export class NetworkError extends RequestError {
+    constructor(label, cause) {
+        super(`${label} failed: network error`, { label, cause });
+        this.name = 'NetworkError';
+    }
+}
+
+// The server answered with a non-2xx status
+export class HttpStatusError extends RequestError {
+    constructor(label, status, body = '') {
+        super(`${label} failed: ${status}`, { label });
+        this.name = 'HttpStatusError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+// The server answered 2xx but the body was not what we expected
+export class BadResponseError extends RequestError {
+    constructor(label, detail, cause = null) {
+        super(`${label} returned an invalid response: ${detail}`, { label, cause });
+        this.name = 'BadResponseError';
+    }
+}
+
+// The caller aborted the request (reset, leaving the app)
+export class RequestCancelledError extends RequestError {
+    constructor(label) {
+        super(`${label} was cancelled`, { label });
+        this.name = 'RequestCancelledError';
+    }
+}
+
+/**
+ * Network errors, timeouts and 5xx responses are worth trying again
+ */
+export function isRetryableError(error) {
+    return error instanceof NetworkError
+        || error instanceof TimeoutError
+        || (error instanceof HttpStatusError && error.status >= 500);
+}
+
+// Resolve after `ms`, or reject as soon as `signal` aborts
+function wait(ms, signal, label) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new RequestCancelledError(label));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new RequestCancelledError(label));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Run a single fetch attempt with its own timeout
+ */
+async function attempt(url, init, { label, timeout, signal, responseType }) {
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+
+    try {
+        let response;
+        try {
+            response = await fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            if (signal?.aborted) throw new RequestCancelledError(label);
+            if (timedOut) throw new TimeoutError(label, timeout);
+            throw new NetworkError(label, error);
+        }
+
+        let text;
+        try {
+            text = await response.text();
+        } catch (error) {
+            if (signal?.aborted) throw new RequestCancelledError(label);
+            if (timedOut) throw new TimeoutError(label, timeout);
+            throw new NetworkError(label, error);
+        }
+
+        if (!response.ok) {
+            throw new HttpStatusError(label, response.status, text);
+        }
+
+        if (responseType === 'text') return text;
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new BadResponseError(label, 'expected JSON', error);
+        }
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Send a request, retrying network errors, timeouts and 5xx responses
+ * @param {string} url
+ * @param {RequestInit} init - fetch options (method, headers, body)
+ * @param {Object} options
+ * @param {string} options.label - Human readable name used in error messages
+ * @param {number} options.timeout - Per attempt timeout in ms
+ * @param {number} options.retries - Extra attempts after the first one
+ * @param {number} options.retryDelay - Delay before the first retry in ms, doubled each time
+ * @param {AbortSignal} options.signal - Cancels the request and any pending retry
+ * @param {'json'|'text'} options.responseType - How to read a successful body
+ * @returns {Promise<Object|string>}
+ */
+export async function request(url, init = {}, {
+    label = 'Request',
+    timeout = 15000,
+    retries = 2,
+    retryDelay = 1000,
+    signal = null,
+    responseType = 'json'
+} = {}) {
+    if (signal?.aborted) throw new RequestCancelledError(label);
+
+    for (let attemptNumber = 0; ; attemptNumber++) {
+        try {
+            return await attempt(url, init, { label, timeout, signal, responseType });
+        } catch (error) {
+            if (attemptNumber >= retries || !isRetryableError(error)) throw error;
+
+            // Exponential backoff with a little jitter so clients don't retry in lockstep
+            const delay = retryDelay * Math.pow(2, attemptNumber) * (0.8 + Math.random() * 0.4);
+            await wait(delay, signal, label);
+        }
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * i18n.js
+ * Message catalogs and locale formatting.
+ *
+ * The locale comes from the Telegram user's language_code unless the user
+ * picked one in the app (stored as the 'locale' preference). Text in index.html
+ * is translated through data-i18n attributes, see translatePage.
+ */
+
+import { Preferences } from './preferences.js';
+import en from './locales/en.js';
+import km from './locales/km.js';
+
+export const CATALOGS = { en, km };
+export const DEFAULT_LOCALE = 'en';
+
+// BCP 47 tags for Intl formatting
+const LOCALE_TAGS = { en: 'en-US', km: 'km-KH' };
+
+let currentLocale = DEFAULT_LOCALE;
+const listeners = new Set();
+
+function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+/**
+ * Locale to use: the user's choice in the app, else their Telegram language
+ * @param {string} languageCode - IETF tag from Telegram, e.g. "km" or "en-US"
+ */
+export function detectLocale(languageCode) {
+    const chosen = Preferences.get('locale');
+    if (CATALOGS[chosen]) return chosen;
+
+    const language = String(languageCode || '').toLowerCase().split('-')[0];
+    return CATALOGS[language] ? language : DEFAULT_LOCALE;
+}
+
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Switch the locale and notify listeners
+ * @param {string} locale - Key of CATALOGS
+ * @param {Object} options
+ * @param {boolean} options.remember - Store as the user's choice (manual override)
+ */
+export function setLocale(locale, { remember = false } = {}) {
+    currentLocale = CATALOGS[locale] ? locale : DEFAULT_LOCALE;
+    if (remember) Preferences.set('locale', currentLocale);
+
+    if (typeof document !== 'undefined') {
+        document.documentElement.lang = currentLocale;
+    }
+
+    listeners.forEach(listener => listener(currentLocale));
+    return currentLocale;
+}
+
+/**
+ * Subscribe to locale switches
+ * @returns {Function} unsubscribe
+ */
+export function onLocaleChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(LOCALE_TAGS[currentLocale], options).format(value);
+}
+
+/**
+ * @param {number} fraction - Between 0 and 1
+ * @param {number} fractionDigits - Decimals of the percentage
+ */
+export function formatPercent(fraction, fractionDigits = 0) {
+    return formatNumber(fraction || 0, {
+        style: 'percent',
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+    });
+}
+
+export function formatDate(date, options = { dateStyle: 'medium' }) {
+    return new Intl.DateTimeFormat(LOCALE_TAGS[currentLocale], options).format(new Date(date));
+}
+
+// Billing period "YYYY-MM" as e.g. "March 2026"
+export function formatPeriod(period) {
+    const [year, month] = period.split('-').map(Number);
+    return formatDate(new Date(year, month - 1, 1), { month: 'long', year: 'numeric' });
+}
+
+/**
+ * Translated message. Missing keys fall back to English, then to the key itself.
+ * @param {string} key - Dot path into the catalog, e.g. "status.ready"
+ * @param {Object} params - Values for {placeholders}; numbers are formatted for the locale,
+ *                          `count` also picks the plural form
+ * @param {string} locale - Catalog to read, the current locale by default
+ */
+export function t(key, params = {}, locale = currentLocale) {
+    let message = lookup(CATALOGS[locale], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+
+    if (message && typeof message === 'object') {
+        const category = new Intl.PluralRules(LOCALE_TAGS[locale]).select(params.count ?? 0);
+        message = message[category] ?? message.other;
+    }
+    if (typeof message !== 'string') return key;
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return placeholder;
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
+
+// Meter names from the catalog; meters without one keep their METER_TYPES label
+
+export function meterLabel(meter) {
+    const key = `meters.${meter.type}.label`;
+    return lookup(CATALOGS[currentLocale], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key) ?? meter.label;
+}
+
+// Form used inside a sentence, e.g. "Processing water meter..."
+export function meterName(meter) {
+    const key = `meters.${meter.type}.name`;
+    return lookup(CATALOGS[currentLocale], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key)
+        ?? meter.label.toLowerCase();
+}
+
+/**
+ * Translate static markup: data-i18n sets the text, data-i18n-label the aria-label
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nLabel));
+    });
+}
@@ -0,0 +1,115 @@
+/**
+ * image-encoder.js
+ * Encodes captured frames and imported photos to compressed Blobs.
+ *
+ * Images are scaled to fit maxDimension, then encoded with decreasing quality
+ * until they fit targetBytes. WebP is used when the browser can encode it
+ * (it is smaller than JPEG at the same quality); otherwise JPEG.
+ */
+
+import { t } from './i18n.js';
+
+const env = import.meta.env || {};
+
+export const IMAGE_OPTIONS = {
+    maxDimension: Number(env.VITE_IMAGE_MAX_DIMENSION) || 1280, // Longest side in px
+    targetBytes: Number(env.VITE_IMAGE_TARGET_BYTES) || 150 * 1024, // Mobile data is expensive
+    format: env.VITE_IMAGE_FORMAT || 'auto', // 'auto' (WebP where supported), 'webp' or 'jpeg'
+    quality: 0.85, // First quality tried
+    minQuality: 0.5, // Never go below this, even if the target is missed
+    qualityStep: 0.1
+};
+
+const EXTENSIONS = { 'image/webp': 'webp', 'image/jpeg': 'jpg', 'image/png': 'png' };
+
+let webpSupport = null;
+
+// Safari's toBlob silently falls back to PNG for unsupported types, so probe once
+function supportsWebP() {
+    if (webpSupport === null) {
+        try {
+            const probe = document.createElement('canvas');
+            probe.width = 1;
+            probe.height = 1;
+            webpSupport = probe.toDataURL('image/webp').startsWith('data:image/webp');
+        } catch (error) {
+            webpSupport = false;
+        }
+    }
+    return webpSupport;
+}
+
+function getMimeType(format) {
+    if (format === 'webp' || (format === 'auto' && supportsWebP())) return 'image/webp';
+    return 'image/jpeg';
+}
+
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function canvasToBlob(canvas, type, quality) {
+    if (canvas.convertToBlob) {
+        return canvas.convertToBlob({ type, quality });
+    }
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error(t('errors.encodeFailed')));
+            }
+        }, type, quality);
+    });
+}
+
+/**
+ * File extension for an encoded Blob, e.g. "webp"
+ */
+export function getImageExtension(blob) {
+    return EXTENSIONS[blob?.type] || 'jpg';
+}
+
+/**
+ * Scale and compress an image
+ * @param {CanvasImageSource} source - ImageBitmap, canvas, image or video frame
+ * @param {Object} options - Overrides for IMAGE_OPTIONS
+ * @returns {Promise<Blob>}
+ */
+export async function encodeImage(source, options = {}) {
+    const { maxDimension, targetBytes, format, quality, minQuality, qualityStep } = { ...IMAGE_OPTIONS, ...options };
+
+    const sourceWidth = source.videoWidth || source.width;
+    const sourceHeight = source.videoHeight || source.height;
+    const scale = Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight));
+    const width = Math.round(sourceWidth * scale);
+    const height = Math.round(sourceHeight * scale);
+
+    const canvas = createCanvas(width, height);
+    canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+
+    let type = getMimeType(format);
+    let currentQuality = quality;
+    let blob = await canvasToBlob(canvas, type, currentQuality);
+
+    // Requested type not encodable after all: JPEG is
+    if (blob.type !== type) {
+        type = 'image/jpeg';
+        blob = await canvasToBlob(canvas, type, currentQuality);
+    }
+
+    while (blob.size > targetBytes && currentQuality - qualityStep >= minQuality) {
+        currentQuality -= qualityStep;
+        blob = await canvasToBlob(canvas, type, currentQuality);
+    }
+
+    return blob;
+}
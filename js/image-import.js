@@ -0,0 +1,138 @@
+/**
+ * image-import.js
+ * Turns a photo picked from the device into a frame like a live capture:
+ * upright (EXIF orientation applied), downscaled and compressed.
+ */
+
+import { encodeImage, IMAGE_OPTIONS } from './image-encoder.js';
+import { t } from './i18n.js';
+
+const EXIF_SCAN_BYTES = 64 * 1024; // The EXIF block sits at the start of a JPEG
+
+/**
+ * EXIF orientation (1-8) of a JPEG, 1 when absent or not a JPEG
+ * @param {ArrayBuffer} buffer - Start of the file
+ */
+export function readExifOrientation(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+
+    let offset = 2;
+    while (offset + 10 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+
+        // APP1 segment starting with "Exif"
+        if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+            return readTiffOrientation(view, offset + 10);
+        }
+
+        // Not a marker, or image data started: no EXIF block
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+        offset += 2 + view.getUint16(offset + 2);
+    }
+
+    return 1;
+}
+
+function readTiffOrientation(view, tiffStart) {
+    if (tiffStart + 8 > view.byteLength) return 1;
+
+    const littleEndian = view.getUint16(tiffStart) === 0x4949; // "II"
+    const ifdStart = tiffStart + view.getUint32(tiffStart + 4, littleEndian);
+    if (ifdStart + 2 > view.byteLength) return 1;
+
+    const entries = view.getUint16(ifdStart, littleEndian);
+    for (let i = 0; i < entries; i++) {
+        const entry = ifdStart + 2 + i * 12;
+        if (entry + 12 > view.byteLength) break;
+
+        if (view.getUint16(entry, littleEndian) === 0x0112) {
+            const orientation = view.getUint16(entry + 8, littleEndian);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+    }
+
+    return 1;
+}
+
+// Current browsers decode images upright already; older WebViews show them as stored
+function browserAppliesOrientation() {
+    return typeof CSS !== 'undefined' && CSS.supports && CSS.supports('image-orientation', 'from-image');
+}
+
+function decodeImage(file) {
+    if (typeof createImageBitmap === 'function') {
+        return createImageBitmap(file, { imageOrientation: 'from-image' })
+            .catch(() => createImageBitmap(file));
+    }
+
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(t('errors.photoUnreadable')));
+        };
+        image.src = url;
+    });
+}
+
+// Canvas transform that turns an image stored with `orientation` upright
+function applyOrientation(ctx, orientation, width, height) {
+    switch (orientation) {
+        case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+        case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+        case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+        case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+        case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+        case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+        case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+        default: break;
+    }
+}
+
+/**
+ * Load an image file as an upright, downscaled frame
+ * @param {File} file
+ * @param {Object} options - Overrides for IMAGE_OPTIONS
+ * @returns {Promise<{blob: Blob, width: number, height: number, crop: null}>}
+ *          `crop` is null: the image did not come from the live video
+ */
+export async function loadImageFile(file, options = {}) {
+    const { maxDimension } = { ...IMAGE_OPTIONS, ...options };
+
+    if (!file || !file.type.startsWith('image/')) {
+        throw new Error(t('errors.notAnImage'));
+    }
+
+    const orientation = browserAppliesOrientation()
+        ? 1
+        : readExifOrientation(await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer());
+
+    const image = await decodeImage(file);
+    const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+    const width = Math.round(image.width * scale);
+    const height = Math.round(image.height * scale);
+
+    // Orientations 5-8 swap width and height
+    const rotated = orientation >= 5;
+    const canvas = document.createElement('canvas');
+    canvas.width = rotated ? height : width;
+    canvas.height = rotated ? width : height;
+
+    const ctx = canvas.getContext('2d');
+    applyOrientation(ctx, orientation, width, height);
+    ctx.drawImage(image, 0, 0, width, height);
+    if (image.close) image.close();
+
+    return {
+        blob: await encodeImage(canvas, options),
+        width: canvas.width,
+        height: canvas.height,
+        crop: null
+    };
+}
@@ -0,0 +1,187 @@
+/**
+ * English messages. Keys missing from another catalog fall back to these.
+ *
+ * Placeholders are written {name}. Number params are formatted for the locale;
+ * readings are passed as strings and shown exactly as on the meter.
+ * Plural messages map Intl.PluralRules categories ('one', 'other', ...) to text.
+ */
+
+export default {
+    language: {
+        name: 'English'
+    },
+
+    meters: {
+        water: { label: 'Water', name: 'water' },
+        electricity: { label: 'Electricity', name: 'electricity' }
+    },
+
+    page: {
+        history: 'History',
+        torch: 'Torch',
+        focus: 'Focus',
+        photo: 'Photo',
+        cameraLens: 'Camera lens',
+        zoom: 'Zoom',
+        telegramOnly: 'This app only works when opened from the Lomnov bot in Telegram.',
+        cameraRequired: 'Camera access required',
+        usePhoto: 'Use a photo instead',
+        capturedPhoto: 'Captured Photo',
+        meterReading: 'Meter reading',
+        previousReadings: 'Previous readings',
+        close: 'Close',
+        takePhoto: 'Take Photo',
+        typeInstead: 'Type it instead'
+    },
+
+    status: {
+        ready: 'Ready',
+        pleaseWait: 'Please wait...',
+        startingCamera: 'Starting Camera...',
+        readyFirst: 'Ready to Capture {meter} Meter',
+        readyNext: '{previous} captured ✓ Ready for {meter}',
+        allCaptured: 'All meters captured! Ready to submit',
+        retake: 'Retake {meter} meter photo',
+        processing: 'Processing {meter} meter...',
+        uploading: 'Uploading {meter} photo...',
+        savedOffline: '{meter} saved offline — will process when online. Go back to type it in instead.',
+        unclearReading: 'Unclear reading ({readings}) — please recapture',
+        noReading: 'No reading found — please recapture',
+        unreadable: '{meter} photo could not be read — please recapture',
+        detection: '{meter}: {reading} ({confidence})',
+        notAvailable: 'N/A',
+        queued: 'queued',
+        submitting: 'Submitting readings...',
+        submitted: '✓ Readings submitted successfully!',
+        submissionQueued: 'Saved offline — will send when online',
+        pendingUploads: {
+            one: '{count} pending upload',
+            other: '{count} pending uploads'
+        },
+        cameraError: 'Camera: {message}',
+        error: 'Error: {message}',
+        sessionExpired: 'Session expired — close and reopen the app from Telegram',
+        openFromTelegram: 'Open this app from Telegram'
+    },
+
+    buttons: {
+        takePhoto: 'Take {meter} Meter Photo',
+        submitAll: 'Submit All Readings',
+        submitRoom: 'Submit Room {room}',
+        done: 'Done - Close App',
+        closeApp: 'Close App',
+        enableCamera: 'Enable Camera',
+        tryAgain: 'Try Again',
+        auto: 'Auto',
+        manual: 'Manual'
+    },
+
+    quality: {
+        dark: 'Too dark — add light or move closer',
+        bright: 'Too bright — move out of direct light',
+        glare: 'Glare — tilt phone',
+        blurry: 'Blurry — hold steady',
+        'low-contrast': 'Low contrast — move closer to the display',
+        sendAnyway: '{hint} (tap again to send anyway)',
+        holdSteady: 'Hold steady…'
+    },
+
+    review: {
+        title: 'Check {meter} reading',
+        typeReading: 'Type the reading shown in the photo',
+        confidence: 'OCR confidence: {confidence}',
+        hint: 'Tap the number to correct it',
+        save: 'Save',
+        retake: 'Retake',
+        saveAnyway: 'Save anyway',
+        confirmReading: 'Confirm reading',
+        lowConfidence: 'OCR is only {confidence} sure. Check every digit and confirm, or retake the photo.'
+    },
+
+    validation: {
+        digitsOnly: 'Enter digits only, e.g. 01234.5',
+        minDigits: 'Reading needs at least {count} digits',
+        maxDigits: 'Reading has at most {count} digits before the decimal point',
+        maxDecimals: 'Reading has at most {count} decimal places'
+    },
+
+    plausibility: {
+        digits: 'Expected {expected} digits before the decimal point, got {actual}. A digit may be missing or extra.',
+        decimals: 'Expected {expected} decimal places, got {actual}. Check where the decimal point is.',
+        lower: 'Lower than the last reading ({previous}). Check the digits, or save anyway if the meter was replaced.',
+        jump: 'Usage of {usage} is over {factor}x the usual {usual}. Check the digits before saving.'
+    },
+
+    history: {
+        empty: 'No submitted readings yet'
+    },
+
+    link: {
+        malformed: 'This link is broken or incomplete. Please open the latest link from the bot.',
+        expired: 'This link has expired. Please ask the bot for a new one.',
+        unknownMeter: 'This link asks for a meter the app does not know ({meter}). Please ask the bot for a new link.',
+        badge: 'This link cannot be used'
+    },
+
+    session: {
+        stalePeriod: 'You have unfinished readings for {period}. Start over for this month?',
+        staleAge: 'You have unfinished readings started on {date}. Start over?',
+        staleLink: 'The link for your unfinished readings has expired. Start over?'
+    },
+
+    rooms: {
+        title: 'Rooms',
+        room: 'Room {room}',
+        chip: 'Room {room} · {submitted}/{total}',
+        summary: '{submitted} of {total} rooms submitted',
+        submitAll: {
+            one: 'Submit {count} complete room',
+            other: 'Submit {count} complete rooms'
+        },
+        submitted: 'Submitted ✓',
+        roomSubmitted: 'Room {room} submitted ✓',
+        batchSubmitted: {
+            one: '{count} room submitted ✓',
+            other: '{count} rooms submitted ✓'
+        },
+        allSubmitted: '✓ All rooms submitted!',
+        roomQueued: 'Room {room} saved offline — will send when online',
+        unreadable: 'Room {rooms} not sent — a photo could not be read. Please recapture it.'
+    },
+
+    submit: {
+        alert: '✅ Submitted Successfully!\n\n{lines}',
+        missingData: 'Missing data. Please recapture meters.',
+        failed: 'Submission failed',
+        failedWithReason: 'Submission failed: {message}'
+    },
+
+    errors: {
+        videoNotReady: 'Video not ready',
+        processingFailed: '{meter} meter processing failed: {message}',
+        manualEntryFailed: '{meter} manual entry failed: {message}',
+        captureFirst: '{meter} meter data not found. Please capture {name} meter first.',
+        saveFailed: '{meter} data failed to save to storage',
+        timeout: 'the server did not answer within {seconds}s',
+        network: 'no connection to the server',
+        httpStatus: 'the server answered with error {status}',
+        badResponse: 'the server sent an unexpected answer',
+        photoUnreadable: 'This photo could not be opened',
+        notAnImage: 'Please choose an image file',
+        encodeFailed: 'Image could not be encoded',
+        noCompleteRooms: 'No complete rooms to submit'
+    },
+
+    camera: {
+        denied: 'Camera access was denied. Please allow camera permissions and try again.',
+        notFound: 'No camera found on your device.',
+        inUse: 'Camera is already in use by another application.',
+        failed: 'Camera failed to start',
+        insecureLocal: 'Camera requires HTTPS. Please use a secure connection (ngrok/localhost).',
+        insecure: 'Camera requires HTTPS. GitHub Pages provides HTTPS automatically.',
+        unsupported: 'Camera API not supported in this browser',
+        loadTimeout: 'Camera video failed to load',
+        notRunning: 'Camera is not running',
+        lens: 'Camera {number}'
+    }
+};
@@ -0,0 +1,180 @@
+/**
+ * Khmer messages, same keys as en.js
+ */
+
+export default {
+    language: {
+        name: 'ខ្មែរ'
+    },
+
+    meters: {
+        water: { label: 'ទឹក', name: 'ទឹក' },
+        electricity: { label: 'អគ្គិសនី', name: 'អគ្គិសនី' }
+    },
+
+    page: {
+        history: 'ប្រវត្តិ',
+        torch: 'ពិល',
+        focus: 'ផ្ដោត',
+        photo: 'រូបថត',
+        cameraLens: 'កែវកាមេរ៉ា',
+        zoom: 'ពង្រីក',
+        telegramOnly: 'កម្មវិធីនេះដំណើរការតែនៅពេលបើកពី bot Lomnov ក្នុង Telegram ប៉ុណ្ណោះ។',
+        cameraRequired: 'ត្រូវការសិទ្ធិប្រើកាមេរ៉ា',
+        usePhoto: 'ប្រើរូបថតជំនួស',
+        capturedPhoto: 'រូបដែលបានថត',
+        meterReading: 'លេខអាននាឡិកា',
+        previousReadings: 'លេខអានមុនៗ',
+        close: 'បិទ',
+        takePhoto: 'ថតរូប',
+        typeInstead: 'វាយបញ្ចូលជំនួស'
+    },
+
+    status: {
+        ready: 'រួចរាល់',
+        pleaseWait: 'សូមរង់ចាំ...',
+        startingCamera: 'កំពុងបើកកាមេរ៉ា...',
+        readyFirst: 'ត្រៀមថតនាឡិកា{meter}',
+        readyNext: 'បានថតនាឡិកា{previous} ✓ ត្រៀមថតនាឡិកា{meter}',
+        allCaptured: 'បានថតនាឡិកាទាំងអស់! ត្រៀមបញ្ជូន',
+        retake: 'ថតរូបនាឡិកា{meter}ម្ដងទៀត',
+        processing: 'កំពុងដំណើរការនាឡិកា{meter}...',
+        uploading: 'កំពុងផ្ញើរូបនាឡិកា{meter}...',
+        savedOffline: 'បានរក្សាទុកនាឡិកា{meter}ក្រៅបណ្ដាញ — នឹងដំណើរការនៅពេលមានអ៊ីនធឺណិត។ ឬត្រឡប់ក្រោយដើម្បីវាយបញ្ចូលជំនួស។',
+        unclearReading: 'លេខអានមិនច្បាស់ ({readings}) — សូមថតម្ដងទៀត',
+        noReading: 'រកមិនឃើញលេខអាន — សូមថតម្ដងទៀត',
+        unreadable: 'មិនអាចអានរូបនាឡិកា{meter}បានទេ — សូមថតម្ដងទៀត',
+        detection: '{meter}៖ {reading} ({confidence})',
+        notAvailable: 'គ្មាន',
+        queued: 'កំពុងរង់ចាំ',
+        submitting: 'កំពុងបញ្ជូនលេខអាន...',
+        submitted: '✓ បានបញ្ជូនលេខអានដោយជោគជ័យ!',
+        submissionQueued: 'បានរក្សាទុកក្រៅបណ្ដាញ — នឹងផ្ញើនៅពេលមានអ៊ីនធឺណិត',
+        pendingUploads: {
+            other: '{count} កំពុងរង់ចាំផ្ញើ'
+        },
+        cameraError: 'កាមេរ៉ា៖ {message}',
+        error: 'កំហុស៖ {message}',
+        sessionExpired: 'វគ្គផុតកំណត់ — សូមបិទ ហើយបើកកម្មវិធីឡើងវិញពី Telegram',
+        openFromTelegram: 'សូមបើកកម្មវិធីនេះពី Telegram'
+    },
+
+    buttons: {
+        takePhoto: 'ថតរូបនាឡិកា{meter}',
+        submitAll: 'បញ្ជូនលេខអានទាំងអស់',
+        submitRoom: 'បញ្ជូនបន្ទប់ {room}',
+        done: 'រួចរាល់ - បិទកម្មវិធី',
+        closeApp: 'បិទកម្មវិធី',
+        enableCamera: 'បើកកាមេរ៉ា',
+        tryAgain: 'ព្យាយាមម្ដងទៀត',
+        auto: 'ស្វ័យប្រវត្តិ',
+        manual: 'ដោយដៃ'
+    },
+
+    quality: {
+        dark: 'ងងឹតពេក — បន្ថែមពន្លឺ ឬខិតឲ្យជិត',
+        bright: 'ភ្លឺពេក — ចេញពីពន្លឺផ្ទាល់',
+        glare: 'ចាំងពន្លឺ — ផ្អៀងទូរស័ព្ទ',
+        blurry: 'ព្រិល — កាន់ឲ្យនឹង',
+        'low-contrast': 'មិនសូវច្បាស់ — ខិតឲ្យជិតអេក្រង់នាឡិកា',
+        sendAnyway: '{hint} (ចុចម្ដងទៀតដើម្បីផ្ញើទោះជាយ៉ាងណា)',
+        holdSteady: 'កាន់ឲ្យនឹង…'
+    },
+
+    review: {
+        title: 'ពិនិត្យលេខអាននាឡិកា{meter}',
+        typeReading: 'វាយលេខអានដែលបង្ហាញក្នុងរូបថត',
+        confidence: 'ភាពប្រាកដ OCR៖ {confidence}',
+        hint: 'ចុចលើលេខដើម្បីកែ',
+        save: 'រក្សាទុក',
+        retake: 'ថតម្ដងទៀត',
+        saveAnyway: 'រក្សាទុកទោះជាយ៉ាងណា',
+        confirmReading: 'បញ្ជាក់លេខអាន',
+        lowConfidence: 'OCR ប្រាកដតែ {confidence} ប៉ុណ្ណោះ។ សូមពិនិត្យគ្រប់ខ្ទង់ ហើយបញ្ជាក់ ឬថតម្ដងទៀត។'
+    },
+
+    validation: {
+        digitsOnly: 'សូមបញ្ចូលតែលេខប៉ុណ្ណោះ ឧ. 01234.5',
+        minDigits: 'លេខអានត្រូវមានយ៉ាងតិច {count} ខ្ទង់',
+        maxDigits: 'លេខអានមានច្រើនបំផុត {count} ខ្ទង់មុនចំណុចទសភាគ',
+        maxDecimals: 'លេខអានមានច្រើនបំផុត {count} ខ្ទង់ទសភាគ'
+    },
+
+    plausibility: {
+        digits: 'រំពឹងថាមាន {expected} ខ្ទង់មុនចំណុចទសភាគ ប៉ុន្តែមាន {actual}។ ប្រហែលជាខ្វះ ឬលើសមួយខ្ទង់។',
+        decimals: 'រំពឹងថាមាន {expected} ខ្ទង់ទសភាគ ប៉ុន្តែមាន {actual}។ សូមពិនិត្យទីតាំងចំណុចទសភាគ។',
+        lower: 'ទាបជាងលេខអានចុងក្រោយ ({previous})។ សូមពិនិត្យលេខ ឬរក្សាទុកទោះជាយ៉ាងណា ប្រសិនបើបានប្ដូរនាឡិកា។',
+        jump: 'ការប្រើប្រាស់ {usage} លើសពី {factor} ដងនៃធម្មតា {usual}។ សូមពិនិត្យលេខមុនរក្សាទុក។'
+    },
+
+    history: {
+        empty: 'មិនទាន់មានលេខអានដែលបានបញ្ជូននៅឡើយ'
+    },
+
+    link: {
+        malformed: 'តំណនេះខូច ឬមិនពេញលេញ។ សូមបើកតំណចុងក្រោយពី bot។',
+        expired: 'តំណនេះផុតកំណត់ហើយ។ សូមស្នើតំណថ្មីពី bot។',
+        unknownMeter: 'តំណនេះស្នើនាឡិកាដែលកម្មវិធីមិនស្គាល់ ({meter})។ សូមស្នើតំណថ្មីពី bot។',
+        badge: 'មិនអាចប្រើតំណនេះបានទេ'
+    },
+
+    session: {
+        stalePeriod: 'អ្នកមានលេខអានមិនទាន់រួចសម្រាប់ {period}។ ចាប់ផ្ដើមថ្មីសម្រាប់ខែនេះ?',
+        staleAge: 'អ្នកមានលេខអានមិនទាន់រួចដែលបានចាប់ផ្ដើមនៅ {date}។ ចាប់ផ្ដើមថ្មី?',
+        staleLink: 'តំណសម្រាប់លេខអានមិនទាន់រួចរបស់អ្នកបានផុតកំណត់ហើយ។ ចាប់ផ្ដើមថ្មី?'
+    },
+
+    rooms: {
+        title: 'បន្ទប់',
+        room: 'បន្ទប់ {room}',
+        chip: 'បន្ទប់ {room} · {submitted}/{total}',
+        summary: 'បានបញ្ជូន {submitted} ក្នុងចំណោម {total} បន្ទប់',
+        submitAll: {
+            other: 'បញ្ជូន {count} បន្ទប់ដែលរួចរាល់'
+        },
+        submitted: 'បានបញ្ជូន ✓',
+        roomSubmitted: 'បានបញ្ជូនបន្ទប់ {room} ✓',
+        batchSubmitted: {
+            other: 'បានបញ្ជូន {count} បន្ទប់ ✓'
+        },
+        allSubmitted: '✓ បានបញ្ជូនបន្ទប់ទាំងអស់!',
+        roomQueued: 'បានរក្សាទុកបន្ទប់ {room} ក្រៅបណ្ដាញ — នឹងផ្ញើនៅពេលមានអ៊ីនធឺណិត',
+        unreadable: 'មិនបានផ្ញើបន្ទប់ {rooms} ទេ — មិនអាចអានរូបថតបាន។ សូមថតម្ដងទៀត។'
+    },
+
+    submit: {
+        alert: '✅ បានបញ្ជូនដោយជោគជ័យ!\n\n{lines}',
+        missingData: 'ខ្វះទិន្នន័យ។ សូមថតនាឡិកាម្ដងទៀត។',
+        failed: 'ការបញ្ជូនបរាជ័យ',
+        failedWithReason: 'ការបញ្ជូនបរាជ័យ៖ {message}'
+    },
+
+    errors: {
+        videoNotReady: 'វីដេអូមិនទាន់រួចរាល់',
+        processingFailed: 'ដំណើរការនាឡិកា{meter}បរាជ័យ៖ {message}',
+        manualEntryFailed: 'ការបញ្ចូលនាឡិកា{meter}ដោយដៃបរាជ័យ៖ {message}',
+        captureFirst: 'រកមិនឃើញទិន្នន័យនាឡិកា{meter}។ សូមថតនាឡិកា{name}ជាមុនសិន។',
+        saveFailed: 'មិនអាចរក្សាទុកទិន្នន័យនាឡិកា{meter}បានទេ',
+        timeout: 'ម៉ាស៊ីនមេមិនបានឆ្លើយតបក្នុងរយៈពេល {seconds} វិនាទី',
+        network: 'មិនអាចភ្ជាប់ទៅម៉ាស៊ីនមេបានទេ',
+        httpStatus: 'ម៉ាស៊ីនមេឆ្លើយតបដោយកំហុស {status}',
+        badResponse: 'ម៉ាស៊ីនមេផ្ញើចម្លើយមិនត្រឹមត្រូវ',
+        photoUnreadable: 'មិនអាចបើករូបថតនេះបានទេ',
+        notAnImage: 'សូមជ្រើសរើសឯកសាររូបភាព',
+        encodeFailed: 'មិនអាចរៀបចំរូបភាពបានទេ',
+        noCompleteRooms: 'គ្មានបន្ទប់ដែលរួចរាល់សម្រាប់បញ្ជូនទេ'
+    },
+
+    camera: {
+        denied: 'ការចូលប្រើកាមេរ៉ាត្រូវបានបដិសេធ។ សូមអនុញ្ញាតសិទ្ធិកាមេរ៉ា ហើយព្យាយាមម្ដងទៀត។',
+        notFound: 'រកមិនឃើញកាមេរ៉ានៅលើឧបករណ៍របស់អ្នកទេ។',
+        inUse: 'កាមេរ៉ាកំពុងត្រូវបានប្រើដោយកម្មវិធីផ្សេង។',
+        failed: 'មិនអាចបើកកាមេរ៉ាបានទេ',
+        insecureLocal: 'កាមេរ៉ាត្រូវការ HTTPS។ សូមប្រើការតភ្ជាប់សុវត្ថិភាព (ngrok/localhost)។',
+        insecure: 'កាមេរ៉ាត្រូវការ HTTPS។ GitHub Pages ផ្ដល់ HTTPS ដោយស្វ័យប្រវត្តិ។',
+        unsupported: 'កម្មវិធីរុករកនេះមិនគាំទ្រកាមេរ៉ាទេ',
+        loadTimeout: 'មិនអាចផ្ទុកវីដេអូកាមេរ៉ាបានទេ',
+        notRunning: 'កាមេរ៉ាមិនកំពុងដំណើរការទេ',
+        lens: 'កាមេរ៉ា {number}'
+    }
+};
@@ -0,0 +1,141 @@
+/**
+ * meter-workflow.js
+ * Declarative definition of the meters a tenant captures, in order.
+ *
+ * Every meter type drives its capture button, status badge, storage key and
+ * payload fields. To add a meter (e.g. gas), append an entry here and add its
+ * label to meters.<type> in the message catalogs (js/locales):
+ *
+ *   { type: 'gas', label: 'Gas', color: '#e17055',
+ *     validation: { minDigits: 1, maxDigits: 5, maxDecimals: 3 },
+ *     minConfidence: 0.6,
+ *     guide: { aspectRatio: 3.5 } }
+ *
+ * `guide.aspectRatio` is the width/height of the meter's display; the on-screen
+ * targeting guide and the crop sent to OCR follow it.
+ *
+ * `validation` may also set `registerDigits` and `registerDecimals`, the exact
+ * format of the meter's counter (leading zeros included). Plausibility checks and
+ * rollover use them, and fall back to the format of the last submitted reading.
+ *
+ * `minConfidence` is the lowest OCR reading_confidence saved without a recapture
+ * or an explicit confirmation (DEFAULT_MIN_CONFIDENCE when omitted).
+ */
+
+import { t } from './i18n.js';
+
+// Lowest OCR reading_confidence accepted without a recapture or manual confirmation
+export const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+export const METER_TYPES = [
+    {
+        type: 'water',
+        label: 'Water',
+        color: '#74b9ff',
+        validation: { minDigits: 1, maxDigits: 6, maxDecimals: 3 },
+        minConfidence: 0.6,
+        guide: { aspectRatio: 3 } // Odometer row on the dial
+    },
+    {
+        type: 'electricity',
+        label: 'Electricity',
+        color: '#fdcb6e',
+        validation: { minDigits: 1, maxDigits: 6, maxDecimals: 2 },
+        minConfidence: 0.7, // LCD digits read reliably, so expect more
+        guide: { aspectRatio: 2.5 } // LCD or drum counter
+    }
+];
+
+export class MeterWorkflow {
+    constructor(meters = METER_TYPES) {
+        this.meters = meters;
+        this.index = 0; // meters.length = submit step
+    }
+
+    get current() {
+        return this.meters[this.index] || null;
+    }
+
+    get previous() {
+        return this.meters[this.index - 1] || null;
+    }
+
+    isSubmitStep() {
+        return this.index >= this.meters.length;
+    }
+
+    next() {
+        this.index = Math.min(this.index + 1, this.meters.length);
+        return this.current;
+    }
+
+    // Back to the previous meter, e.g. to retake it
+    back() {
+        this.index = Math.max(this.index - 1, 0);
+        return this.current;
+    }
+
+    reset() {
+        this.index = 0;
+    }
+
+    /**
+     * Keep only the given meter types (e.g. the ones a deep link asks for), in workflow order
+     * @param {string[]} types
+     */
+    only(types) {
+        this.meters = this.meters.filter(meter => types.includes(meter.type));
+        this.index = 0;
+        return this.meters;
+    }
+
+    /**
+     * Jump to the first meter without stored data (or to submit when all are done)
+     * @param {Function} isCompleted - (meterType) => boolean
+     */
+    resume(isCompleted) {
+        const firstMissing = this.meters.findIndex(meter => !isCompleted(meter.type));
+        this.index = firstMissing === -1 ? this.meters.length : firstMissing;
+        return this.index;
+    }
+
+    getMeter(type) {
+        return this.meters.find(meter => meter.type === type) || null;
+    }
+
+    /**
+     * Whether OCR was sure enough of a reading to save it without confirmation
+     */
+    static meetsConfidence(meter, confidence) {
+        return (confidence || 0) >= (meter?.minConfidence ?? DEFAULT_MIN_CONFIDENCE);
+    }
+
+    /**
+     * Check a reading against the meter's validation rules
+     * @returns {string|null} Error message, or null when the reading is valid
+     */
+    static validateReading(meter, value) {
+        const reading = String(value ?? '').trim();
+        const match = /^(\d+)(?:\.(\d+))?$/.exec(reading);
+
+        if (!match) {
+            return t('validation.digitsOnly');
+        }
+
+        const rules = meter?.validation || {};
+        const integerDigits = match[1].length;
+        const decimals = match[2] ? match[2].length : 0;
+
+        if (rules.minDigits && integerDigits < rules.minDigits) {
+            return t('validation.minDigits', { count: rules.minDigits });
+        }
+        if (rules.maxDigits && integerDigits > rules.maxDigits) {
+            return t('validation.maxDigits', { count: rules.maxDigits });
+        }
+        if (rules.maxDecimals !== undefined && decimals > rules.maxDecimals) {
+            return t('validation.maxDecimals', { count: rules.maxDecimals });
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * ocr-consensus.js
+ * Reconciles the readings OCR returned for several frames of the same meter.
+ *
+ * Readings are aligned on the decimal point and voted on digit by digit,
+ * each frame weighted by its reading_confidence. A missing digit (e.g. a
+ * dropped leading digit or decimal) is a vote too, so it has to win on merit.
+ */
+
+const MISSING = '';
+
+// "01234.5" -> { integer: ['0','1','2','3','4'], fraction: ['5'], hasDecimal: true }
+function splitReading(reading) {
+    const [integer, fraction = ''] = String(reading).trim().split('.');
+    return {
+        integer: integer.split(''),
+        fraction: fraction.split(''),
+        hasDecimal: String(reading).includes('.')
+    };
+}
+
+// Pick the symbol with the most confidence behind it
+function vote(candidates) {
+    const weights = new Map();
+    let total = 0;
+
+    candidates.forEach(({ symbol, weight }) => {
+        weights.set(symbol, (weights.get(symbol) || 0) + weight);
+        total += weight;
+    });
+
+    let winner = MISSING;
+    let winnerWeight = -1;
+    weights.forEach((weight, symbol) => {
+        if (weight > winnerWeight) {
+            winner = symbol;
+            winnerWeight = weight;
+        }
+    });
+
+    return { symbol: winner, agreement: total > 0 ? winnerWeight / total : 0 };
+}
+
+/**
+ * Reconcile several OCR readings of the same meter
+ * @param {Array<{reading: string, confidence: number}>} readings
+ * @param {Object} options
+ * @param {number} options.minAgreement - Lowest acceptable share of weight behind every digit (0-1)
+ * @returns {{reading: string|null, confidence: number, agreement: number, agreed: boolean, frames: number}}
+ */
+export function reconcileReadings(readings, { minAgreement = 0.6 } = {}) {
+    const valid = readings.filter(r => r.reading && /^\d+(\.\d+)?$/.test(String(r.reading).trim()));
+
+    if (valid.length === 0) {
+        return { reading: null, confidence: 0, agreement: 0, agreed: false, frames: 0 };
+    }
+
+    // A single frame stands alone; one read out of several is no consensus
+    if (valid.length === 1) {
+        return {
+            reading: String(valid[0].reading).trim(),
+            confidence: valid[0].confidence || 0,
+            agreement: 1 / readings.length,
+            agreed: readings.length === 1,
+            frames: 1
+        };
+    }
+
+    // Frames with no confidence still get a small say
+    const parts = valid.map(r => ({ ...splitReading(r.reading), weight: Math.max(r.confidence || 0, 0.01) }));
+    const integerLength = Math.max(...parts.map(p => p.integer.length));
+    const fractionLength = Math.max(...parts.map(p => p.fraction.length));
+
+    let minSeen = 1;
+    let integer = '';
+    let fraction = '';
+
+    // Integer digits, aligned from the right (least significant first)
+    for (let i = 1; i <= integerLength; i++) {
+        const { symbol, agreement } = vote(parts.map(p => ({
+            symbol: p.integer[p.integer.length - i] || MISSING,
+            weight: p.weight
+        })));
+        minSeen = Math.min(minSeen, agreement);
+        integer = symbol + integer;
+    }
+
+    // Whether there is a decimal part at all
+    const decimal = vote(parts.map(p => ({ symbol: p.hasDecimal ? '.' : MISSING, weight: p.weight })));
+    minSeen = Math.min(minSeen, decimal.agreement);
+
+    if (decimal.symbol === '.') {
+        for (let i = 0; i < fractionLength; i++) {
+            const { symbol, agreement } = vote(parts.map(p => ({
+                symbol: p.fraction[i] || MISSING,
+                weight: p.weight
+            })));
+            minSeen = Math.min(minSeen, agreement);
+            fraction += symbol;
+        }
+    }
+
+    const reading = fraction ? `${integer}.${fraction}` : integer;
+
+    // Confidence of the best frame that read exactly the agreed value
+    const matching = valid.filter(r => String(r.reading).trim() === reading);
+    const bestConfidence = matching.length > 0
+        ? Math.max(...matching.map(r => r.confidence || 0))
+        : Math.max(...valid.map(r => r.confidence || 0));
+
+    return {
+        reading: integer ? reading : null,
+        confidence: bestConfidence,
+        agreement: minSeen,
+        agreed: !!integer && minSeen >= minAgreement,
+        frames: valid.length
+    };
+}
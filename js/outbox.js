@@ -0,0 +1,216 @@
+/**
+ * outbox.js
+ * Persistent queue of requests that failed because the network was unavailable.
+ * Jobs (including image Blobs) are kept in IndexedDB and retried in order with
+ * exponential backoff whenever the device comes back online or the app is shown again.
+ * A job whose error retrying cannot fix (see isRetryableError) is dropped and
+ * reported through onFailure.
+ */
+
+import { isRetryableError } from './http-client.js';
+
+const DB_VERSION = 1;
+const STORE_NAME = 'jobs';
+
+// Wrap an IDBRequest in a promise
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class Outbox {
+    constructor({ dbName = 'lomnov-outbox', baseDelay = 2000, maxDelay = 5 * 60 * 1000 } = {}) {
+        this.dbName = dbName;
+        this.BASE_DELAY = baseDelay; // First retry after 2 seconds
+        this.MAX_DELAY = maxDelay;   // Never wait more than 5 minutes between retries
+        this.handlers = {};
+        this.listeners = new Set();
+        this.failureListeners = new Set();
+        this.dbPromise = null;
+        this.flushing = null;
+        this.retryTimer = null;
+
+        this.handleOnline = () => this.flushInBackground();
+        this.handleVisibility = () => {
+            if (document.visibilityState === 'visible') this.flushInBackground();
+        };
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(this.dbName, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            };
+            this.dbPromise = promisify(request);
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, work) {
+        const db = await this.open();
+        const tx = db.transaction(STORE_NAME, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+
+        const result = await work(tx.objectStore(STORE_NAME));
+        await done;
+        return result;
+    }
+
+    /**
+     * Register the function that replays jobs of a given kind.
+     * The handler receives the job data and should throw to keep the job queued.
+     * Changes it makes to the data are persisted with the retry, so a handler
+     * can record progress (e.g. an OCR result) and skip that part next time.
+     */
+    register(kind, handler) {
+        this.handlers[kind] = handler;
+    }
+
+    /**
+     * Subscribe to pending count changes
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Subscribe to jobs dropped because retrying cannot fix their error
+     * (e.g. a 4xx or an unreadable response)
+     * @param {Function} listener - (job, error) => void
+     * @returns {Function} Unsubscribe function
+     */
+    onFailure(listener) {
+        this.failureListeners.add(listener);
+        return () => this.failureListeners.delete(listener);
+    }
+
+    async notify() {
+        const pending = await this.count();
+        this.listeners.forEach(listener => listener(pending));
+    }
+
+    async enqueue(kind, data) {
+        const job = {
+            kind: kind,
+            data: data,
+            attempts: 0,
+            createdAt: Date.now(),
+            nextAttemptAt: Date.now(),
+            lastError: null
+        };
+
+        job.id = await this.transaction('readwrite', store => promisify(store.add(job)));
+        await this.notify();
+        this.scheduleRetry(this.BASE_DELAY);
+        return job.id;
+    }
+
+    async getAll() {
+        return this.transaction('readonly', store => promisify(store.getAll()));
+    }
+
+    async count(kind = null) {
+        const jobs = await this.getAll();
+        return kind ? jobs.filter(job => job.kind === kind).length : jobs.length;
+    }
+
+    async clear() {
+        await this.transaction('readwrite', store => promisify(store.clear()));
+        await this.notify();
+    }
+
+    /**
+     * Replay due jobs in the order they were queued.
+     * Stops at the first retryable failure so later jobs never overtake earlier ones.
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.runFlush().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async runFlush() {
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+
+        const jobs = (await this.getAll()).sort((a, b) => a.id - b.id);
+
+        for (const job of jobs) {
+            const waitMs = job.nextAttemptAt - Date.now();
+            if (waitMs > 0) {
+                this.scheduleRetry(waitMs);
+                break;
+            }
+
+            const handler = this.handlers[job.kind];
+            if (!handler) break;
+
+            try {
+                await handler(job.data, job);
+                await this.transaction('readwrite', store => promisify(store.delete(job.id)));
+            } catch (error) {
+                if (!isRetryableError(error)) {
+                    // Retrying cannot fix it: drop the job so it does not hold up the rest
+                    await this.transaction('readwrite', store => promisify(store.delete(job.id)));
+                    this.failureListeners.forEach(listener => listener(job, error));
+                    continue;
+                }
+
+                job.attempts += 1;
+                job.lastError = error.message;
+                job.nextAttemptAt = Date.now() + this.getBackoff(job.attempts);
+                await this.transaction('readwrite', store => promisify(store.put(job)));
+                this.scheduleRetry(job.nextAttemptAt - Date.now());
+                break;
+            } finally {
+                await this.notify();
+            }
+        }
+    }
+
+    getBackoff(attempts) {
+        return Math.min(this.BASE_DELAY * Math.pow(2, attempts - 1), this.MAX_DELAY);
+    }
+
+    // Flush started by an event or timer, where nobody awaits it
+    flushInBackground() {
+        this.flush().catch(() => {
+            // Replay failures stay queued and are retried later
+        });
+    }
+
+    scheduleRetry(delay) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.flushInBackground(), delay);
+    }
+
+    start() {
+        window.addEventListener('online', this.handleOnline);
+        document.addEventListener('visibilitychange', this.handleVisibility);
+        this.notify().catch(() => {
+            // IndexedDB unavailable (e.g. private mode): nothing is queued
+        });
+        return this.flush();
+    }
+
+    stop() {
+        window.removeEventListener('online', this.handleOnline);
+        document.removeEventListener('visibilitychange', this.handleVisibility);
+        clearTimeout(this.retryTimer);
+    }
+}
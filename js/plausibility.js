@@ -0,0 +1,79 @@
+/**
+ * plausibility.js
+ * Checks a reading against the meter's previous submitted readings before it is
+ * stored. Unlike MeterWorkflow.validateReading these are warnings: a replaced
+ * meter or a burst pipe is real, so the user can save anyway.
+ */
+
+import { getConsumption, isRollover, countIntegerDigits, countDecimals } from './reading-history.js';
+import { t, formatNumber } from './i18n.js';
+
+export const PLAUSIBILITY_RULES = {
+    maxJumpFactor: 10 // Consumption above 10x the usual is flagged
+};
+
+/**
+ * @param {Object} meter - Entry of METER_TYPES
+ * @param {string} reading - Reading about to be saved
+ * @param {Array} history - Submitted readings for this meter, newest first (see ReadingHistory)
+ * @returns {{issue: 'format'|'lower'|'jump', message: string}|null} null when the reading is plausible
+ */
+export function checkPlausibility(meter, reading, history, rules = PLAUSIBILITY_RULES) {
+    const registerDigits = meter.validation?.registerDigits || null;
+    const previous = history[0];
+
+    // Expected register format: the meter's own, else whatever the last reading looked like
+    const expectedDigits = registerDigits || (previous ? countIntegerDigits(previous.value) : null);
+    const expectedDecimals = meter.validation?.registerDecimals ?? (previous ? countDecimals(previous.value) : null);
+
+    if (expectedDigits !== null && countIntegerDigits(reading) !== expectedDigits) {
+        return {
+            issue: 'format',
+            message: t('plausibility.digits', { expected: expectedDigits, actual: countIntegerDigits(reading) })
+        };
+    }
+    if (expectedDecimals !== null && countDecimals(reading) !== expectedDecimals) {
+        return {
+            issue: 'format',
+            message: t('plausibility.decimals', { expected: expectedDecimals, actual: countDecimals(reading) })
+        };
+    }
+
+    if (!previous) return null;
+
+    if (parseFloat(reading) < parseFloat(previous.value) && !isRollover(previous.value, reading, registerDigits)) {
+        return {
+            issue: 'lower',
+            message: t('plausibility.lower', { previous: String(previous.value) })
+        };
+    }
+
+    const usual = getUsualConsumption(history, registerDigits);
+    const consumption = parseFloat(getConsumption(previous.value, reading, registerDigits));
+
+    // "Usual" needs at least two submitted readings
+    if (usual !== null && usual > 0 && consumption > usual * rules.maxJumpFactor) {
+        return {
+            issue: 'jump',
+            message: t('plausibility.jump', {
+                usage: consumption,
+                factor: rules.maxJumpFactor,
+                usual: formatNumber(usual, { maximumFractionDigits: 1 })
+            })
+        };
+    }
+
+    return null;
+}
+
+// Average consumption between consecutive submitted readings
+function getUsualConsumption(history, registerDigits) {
+    const deltas = [];
+
+    for (let i = 0; i < history.length - 1; i++) {
+        const consumption = parseFloat(getConsumption(history[i + 1].value, history[i].value, registerDigits));
+        if (!Number.isNaN(consumption) && consumption >= 0) deltas.push(consumption);
+    }
+
+    return deltas.length > 0 ? deltas.reduce((sum, delta) => sum + delta, 0) / deltas.length : null;
+}
@@ -0,0 +1,27 @@
+/**
+ * preferences.js
+ * User settings that survive between sessions. Kept apart from the meter
+ * session keys so clearing a submitted session does not reset them.
+ */
+
+export class Preferences {
+    static PREFIX = 'meter_pref_';
+
+    static get(key, fallback = null) {
+        try {
+            const value = localStorage.getItem(this.PREFIX + key);
+            return value !== null ? JSON.parse(value) : fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    static set(key, value) {
+        try {
+            localStorage.setItem(this.PREFIX + key, JSON.stringify(value));
+        } catch (error) {
+            // Preferences are best effort (private mode, quota)
+        }
+        return value;
+    }
+}
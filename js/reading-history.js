@@ -0,0 +1,97 @@
+/**
+ * reading-history.js
+ * Readings that reached the backend, per chat and meter type. Kept apart from
+ * the in-progress session keys so clearAll() after a submission leaves them.
+ */
+
+export class ReadingHistory {
+    static PREFIX = 'meter_history_';
+    static MAX_ENTRIES = 24; // Two years of monthly readings per meter
+
+    static getKey(chatId) {
+        return `${this.PREFIX}${chatId}`;
+    }
+
+    // { <meterType>: [{ date, value, accuracy, imageUrl }, ...] }, newest first
+    static load(chatId) {
+        try {
+            const data = localStorage.getItem(this.getKey(chatId));
+            return data ? JSON.parse(data) : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static getEntries(chatId, meterType) {
+        return this.load(chatId)[meterType] || [];
+    }
+
+    static getLatest(chatId, meterType) {
+        return this.getEntries(chatId, meterType)[0] || null;
+    }
+
+    /**
+     * Record a submitted reading
+     * @param {Object} entry - { date (ISO string), value, accuracy, imageUrl }
+     */
+    static add(chatId, meterType, entry) {
+        const history = this.load(chatId);
+        history[meterType] = [entry, ...(history[meterType] || [])].slice(0, this.MAX_ENTRIES);
+
+        try {
+            localStorage.setItem(this.getKey(chatId), JSON.stringify(history));
+        } catch (error) {
+            // History is a convenience; a full quota must not fail the submission
+        }
+        return entry;
+    }
+
+    static clear(chatId) {
+        localStorage.removeItem(this.getKey(chatId));
+    }
+}
+
+const ROLLOVER_WINDOW = 0.1; // Share of the register counted as "near the top" / "near zero"
+
+/**
+ * Whether a lower reading is the register wrapping past its last digit (99 950 -> 00 012).
+ * The register size is the previous reading's digit count, leading zeros included,
+ * unless the meter's registerDigits says otherwise.
+ */
+export function isRollover(previousValue, currentValue, registerDigits = null) {
+    const previous = parseFloat(previousValue);
+    const current = parseFloat(currentValue);
+    const register = 10 ** (registerDigits || countIntegerDigits(previousValue));
+
+    return current < previous
+        && previous >= register * (1 - ROLLOVER_WINDOW)
+        && current < register * ROLLOVER_WINDOW;
+}
+
+/**
+ * Consumption between two readings, rounded to the finer of their decimals.
+ * A register rollover counts as usage past the top, not as a negative value.
+ * @returns {string|null} e.g. "12.50", or null when either value is not a number
+ */
+export function getConsumption(previousValue, currentValue, registerDigits = null) {
+    const previous = parseFloat(previousValue);
+    const current = parseFloat(currentValue);
+    if (Number.isNaN(previous) || Number.isNaN(current)) return null;
+
+    let consumption = current - previous;
+    if (isRollover(previousValue, currentValue, registerDigits)) {
+        consumption += 10 ** (registerDigits || countIntegerDigits(previousValue));
+    }
+
+    const decimals = Math.max(countDecimals(previousValue), countDecimals(currentValue));
+    return consumption.toFixed(decimals);
+}
+
+export function countIntegerDigits(value) {
+    return String(value).trim().split('.')[0].length;
+}
+
+export function countDecimals(value) {
+    const fraction = String(value).split('.')[1];
+    return fraction ? fraction.length : 0;
+}
@@ -0,0 +1,118 @@
+/**
+ * review-screen.js
+ * Shows the captured frame and its OCR reading so the user can correct it before saving.
+ */
+
+import { t, formatPercent } from './i18n.js';
+
+export class ReviewScreen {
+    constructor(container) {
+        this.container = container;
+        this.image = container.querySelector('#preview-img');
+        this.title = container.querySelector('#review-title');
+        this.input = container.querySelector('#reading-input');
+        this.confidence = container.querySelector('#reading-confidence');
+        this.hint = container.querySelector('#reading-hint');
+        this.retakeBtn = container.querySelector('#retake-btn');
+        this.saveBtn = container.querySelector('#save-btn');
+        this.acknowledged = []; // Warning issues shown for the current value; the next press moves past them
+        this.resolve = null;
+    }
+
+    /**
+     * Show the review step and wait for the user's decision.
+     * @param {Object} options
+     * @param {string} options.imageSrc - Data URL or object URL of the captured frame; object URLs
+     *                                    are revoked when the review closes
+     * @param {string} options.reading - Reading returned by OCR
+     * @param {number|null} options.confidence - Reading confidence between 0 and 1, null when typed by hand
+     * @param {string} options.label - Meter name shown in the title, see meterName
+     * @param {Function} options.validate - (reading) => error message or null
+     * @param {Function} options.check - (reading) => [{ issue, message, confirmLabel }]. Unlike validate,
+     *                                   each warning is shown once and saved through by pressing again.
+     * @returns {Promise<{action: 'save'|'retake', reading?: string, edited?: boolean, acknowledged?: string[]}>}
+     *          `acknowledged` lists the issues of the warnings the user saved through
+     */
+    open({ imageSrc, reading, confidence, label, validate, check = () => [] }) {
+        const ocrReading = reading ? String(reading) : '';
+
+        this.image.src = imageSrc;
+        this.title.innerText = t('review.title', { meter: label });
+        this.input.value = ocrReading;
+        this.confidence.innerText = confidence === null
+            ? t('review.typeReading')
+            : t('review.confidence', { confidence: formatPercent(confidence, 1) });
+        this.setInvalid(null);
+        this.container.classList.remove('hidden');
+        if (confidence === null) this.input.focus();
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+
+            this.retakeBtn.onclick = () => this.close();
+
+            this.saveBtn.onclick = () => {
+                const value = this.input.value.trim();
+                const error = validate(value);
+                if (error) {
+                    this.setInvalid(error);
+                    return;
+                }
+
+                // Each press shows the next warning; once all were seen it saves anyway
+                const warnings = check(value) || [];
+                const pending = warnings.find(warning => !this.acknowledged.includes(warning.issue));
+                if (pending) {
+                    this.setWarning(pending);
+                    return;
+                }
+
+                this.close({
+                    action: 'save',
+                    reading: value,
+                    edited: value !== ocrReading,
+                    acknowledged: warnings.map(warning => warning.issue)
+                });
+            };
+
+            this.input.oninput = () => this.setInvalid(null);
+        });
+    }
+
+    /**
+     * Hide the review step. A pending review settles as a retake unless a decision is given.
+     */
+    close(decision = { action: 'retake' }) {
+        this.container.classList.add('hidden');
+        this.retakeBtn.onclick = null;
+        this.saveBtn.onclick = null;
+        this.input.oninput = null;
+        if (this.image.src.startsWith('blob:')) URL.revokeObjectURL(this.image.src);
+        this.image.removeAttribute('src');
+
+        if (this.resolve) {
+            const resolve = this.resolve;
+            this.resolve = null;
+            resolve(decision);
+        }
+    }
+
+    isOpen() {
+        return !this.container.classList.contains('hidden');
+    }
+
+    setInvalid(error) {
+        this.acknowledged = [];
+        this.saveBtn.innerText = t('review.save');
+        this.input.classList.remove('warning');
+        this.input.classList.toggle('invalid', !!error);
+        this.hint.innerText = error || t('review.hint');
+    }
+
+    setWarning({ issue, message, confirmLabel }) {
+        this.acknowledged.push(issue);
+        this.saveBtn.innerText = confirmLabel || t('review.saveAnyway');
+        this.input.classList.add('warning');
+        this.hint.innerText = message;
+    }
+}
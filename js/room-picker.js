@@ -0,0 +1,84 @@
+/**
+ * room-picker.js
+ * Lists the rooms of a caretaker session with the meters captured in each,
+ * and submits the complete ones together.
+ */
+
+import { t, meterLabel } from './i18n.js';
+
+export class RoomPicker {
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onSelect - (roomId) => void
+     * @param {Function} callbacks.onSubmitAll - () => void, submit every complete room
+     * @param {Function} callbacks.onClose - () => void, after the panel was hidden
+     */
+    constructor(container, { onSelect, onSubmitAll, onClose } = {}) {
+        this.container = container;
+        this.onSelect = onSelect || (() => {});
+        this.onClose = onClose || (() => {});
+        this.list = container.querySelector('#room-list');
+        this.summary = container.querySelector('#room-summary');
+        this.submitBtn = container.querySelector('#submit-rooms-btn');
+        this.closeBtn = container.querySelector('#room-close-btn');
+
+        this.closeBtn.onclick = () => this.close();
+        this.submitBtn.onclick = () => (onSubmitAll || (() => {}))();
+    }
+
+    /**
+     * @param {Array} rooms - ApiService.getRoomsProgress entries
+     * @param {Object} options
+     * @param {Array} options.meters - Meter types of the workflow
+     * @param {string|null} options.activeRoom
+     */
+    open(rooms, { meters, activeRoom = null }) {
+        const complete = rooms.filter(room => room.isComplete && !room.submitted).length;
+        const submitted = rooms.filter(room => room.submitted).length;
+
+        this.summary.innerText = t('rooms.summary', { submitted, total: rooms.length });
+        this.submitBtn.innerText = t('rooms.submitAll', { count: complete });
+        this.submitBtn.disabled = complete === 0;
+
+        this.list.replaceChildren(...rooms.map(room => this.renderRoom(room, meters, room.id === activeRoom)));
+        this.container.classList.remove('hidden');
+    }
+
+    close() {
+        this.container.classList.add('hidden');
+        this.onClose();
+    }
+
+    isOpen() {
+        return !this.container.classList.contains('hidden');
+    }
+
+    renderRoom(room, meters, active) {
+        const row = document.createElement('button');
+        row.className = 'room-entry';
+        row.classList.toggle('active', active);
+        row.classList.toggle('complete', room.isComplete || room.submitted);
+        row.disabled = room.submitted;
+
+        const label = document.createElement('span');
+        label.className = 'room-label';
+        label.textContent = t('rooms.room', { room: room.label });
+
+        const progress = document.createElement('span');
+        progress.className = 'room-progress';
+        progress.textContent = room.submitted
+            ? t('rooms.submitted')
+            : meters
+                .map(meter => `${meterLabel(meter)} ${room.meters[meter.type]?.completed ? '✓' : '–'}`)
+                .join(' · ');
+
+        row.append(label, progress);
+        row.onclick = () => {
+            this.close();
+            this.onSelect(room.id);
+        };
+
+        return row;
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * rooms.js
+ * Room lists for caretakers who read several units in one session.
+ *
+ * The list comes from the bot's start parameter ("rooms_12B-12C-14A", ids
+ * separated by "-") or from the backend (ApiService.fetchRooms).
+ */
+
+const ROOMS_PREFIX = 'rooms_';
+
+// Telegram allows A-Z, a-z, 0-9, _ and - in start_param
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_]{1,16}$/;
+
+/**
+ * Rooms as { id, label } with string ids, duplicates and entries without an id removed
+ * @param {Array<Object|string>} list - Room objects ({ id, label|name|number }) or plain ids
+ */
+export function normalizeRooms(list) {
+    const seen = new Set();
+
+    return list
+        .map(item => (typeof item === 'object' && item !== null
+            ? { id: item.id ?? item.room_id ?? item.number, label: item.label ?? item.name ?? item.number }
+            : { id: item }))
+        .filter(({ id }) => id !== undefined && id !== null && String(id).trim() !== '')
+        .map(({ id, label }) => ({ id: String(id).trim(), label: String(label ?? id).trim() }))
+        .filter(({ id }) => {
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        });
+}
+
+/**
+ * Room list from a start parameter, [] when it carries none
+ * @param {string} startParam - tg.initDataUnsafe.start_param
+ */
+export function parseRoomsParam(startParam) {
+    if (!startParam || !startParam.startsWith(ROOMS_PREFIX)) return [];
+
+    const ids = startParam.slice(ROOMS_PREFIX.length).split('-');
+    return normalizeRooms(ids.filter(id => ROOM_ID_PATTERN.test(id)));
+}
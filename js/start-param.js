@@ -0,0 +1,139 @@
+/**
+ * start-param.js
+ * Parses the deep-link start parameter (tg.initDataUnsafe.start_param) the bot
+ * puts on "please submit your meters" links.
+ *
+ * Telegram only allows A-Z, a-z, 0-9, _ and - in start_param, so the link
+ * context is JSON encoded as base64url without padding:
+ *
+ *   u<payload>            encoded
+ *   s<payload><signature> signed: signature is the first 16 bytes of
+ *                         HMAC-SHA256(bot secret, payload), base64url (22 chars)
+ *   rooms_12B-12C         room list only, see rooms.js
+ *
+ * Payload fields, all optional:
+ *   r  room id, e.g. "12B"            rs  room list for caretakers
+ *   p  billing period "YYYY-MM"       m   required meter types, e.g. ["water"]
+ *   l  locale, e.g. "km"              e   expiry, unix seconds
+ *
+ * The secret stays with the bot, so the signature is checked by the backend:
+ * the raw parameter travels with the submission (see buildFinalPayloadFromStorage).
+ * Here the link is only decoded, validated and checked for expiry.
+ */
+
+import { normalizeRooms, parseRoomsParam } from './rooms.js';
+import { t } from './i18n.js';
+
+const SIGNATURE_LENGTH = 22;
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const ROOM_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _\-/]{0,31}$/;
+
+export class StartParamError extends Error {
+    /**
+     * @param {string} message - User-facing message
+     * @param {string} reason - 'malformed' | 'expired' | 'unknown-meter'
+     */
+    constructor(message, reason) {
+        super(message);
+        this.name = 'StartParamError';
+        this.reason = reason;
+    }
+}
+
+function decodeBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+function decodePayload(payload) {
+    try {
+        const fields = JSON.parse(decodeBase64Url(payload));
+        if (fields && typeof fields === 'object' && !Array.isArray(fields)) return fields;
+    } catch (error) {
+        // Reported below
+    }
+    throw new StartParamError(t('link.malformed'), 'malformed');
+}
+
+/**
+ * @param {string} startParam - tg.initDataUnsafe.start_param
+ * @param {Object} options
+ * @param {string[]} options.meterTypes - Meter types the app knows
+ * @param {number} options.now - Current time in ms, for the expiry check
+ * @returns {Object|null} null without a start parameter, else
+ *          { room, rooms, period, meters, locale, expiresAt, signed, raw }
+ * @throws {StartParamError} For a link that cannot be read, names unknown meters or has expired
+ */
+export function parseStartParam(startParam, { meterTypes = [], now = Date.now() } = {}) {
+    if (!startParam) return null;
+
+    const context = {
+        room: null,
+        rooms: [],
+        period: null,
+        meters: null,
+        locale: null,
+        expiresAt: null,
+        signed: false,
+        raw: startParam
+    };
+
+    if (startParam.startsWith('rooms_')) {
+        context.rooms = parseRoomsParam(startParam);
+        if (context.rooms.length === 0) throw new StartParamError(t('link.malformed'), 'malformed');
+        return context;
+    }
+
+    let payload;
+    if (startParam.startsWith('u')) {
+        payload = startParam.slice(1);
+    } else if (startParam.startsWith('s') && startParam.length > SIGNATURE_LENGTH + 1) {
+        payload = startParam.slice(1, -SIGNATURE_LENGTH);
+        context.signed = true;
+    } else {
+        throw new StartParamError(t('link.malformed'), 'malformed');
+    }
+
+    const fields = decodePayload(payload);
+
+    if (fields.e !== undefined) {
+        if (!Number.isFinite(fields.e)) throw new StartParamError(t('link.malformed'), 'malformed');
+        context.expiresAt = fields.e * 1000;
+        if (context.expiresAt < now) throw new StartParamError(t('link.expired'), 'expired');
+    }
+
+    if (fields.r !== undefined) {
+        if (!ROOM_PATTERN.test(String(fields.r))) throw new StartParamError(t('link.malformed'), 'malformed');
+        context.room = String(fields.r);
+    }
+
+    if (fields.rs !== undefined) {
+        if (!Array.isArray(fields.rs)) throw new StartParamError(t('link.malformed'), 'malformed');
+        context.rooms = normalizeRooms(fields.rs);
+    }
+    if (context.room && context.rooms.length === 0) {
+        context.rooms = [{ id: context.room, label: context.room }];
+    }
+
+    if (fields.p !== undefined) {
+        if (!PERIOD_PATTERN.test(String(fields.p))) throw new StartParamError(t('link.malformed'), 'malformed');
+        context.period = String(fields.p);
+    }
+
+    if (fields.m !== undefined) {
+        const meters = Array.isArray(fields.m) ? fields.m.map(String) : String(fields.m).split(',');
+        const unknown = meters.find(type => !meterTypes.includes(type));
+        if (meters.length === 0 || unknown) {
+            throw new StartParamError(t('link.unknownMeter', { meter: unknown || '' }), 'unknown-meter');
+        }
+        context.meters = meters;
+    }
+
+    if (fields.l !== undefined) {
+        context.locale = String(fields.l); // Unknown locales fall back in detectLocale
+    }
+
+    return context;
+}
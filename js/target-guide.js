@@ -0,0 +1,84 @@
+/**
+ * target-guide.js
+ * On-screen rectangle the user lines the meter display up with, and the
+ * matching region in video pixels used for cropping and analysis.
+ */
+
+export class TargetGuide {
+    constructor(element, video) {
+        this.element = element;
+        this.video = video;
+        this.aspectRatio = 3;
+        this.WIDTH_RATIO = 0.8;   // Guide spans 80% of the view width...
+        this.MAX_HEIGHT_RATIO = 0.5; // ...but never more than half its height
+        this.rect = null; // Guide box in CSS pixels, relative to the video element
+    }
+
+    /**
+     * Size the guide for a meter type's display (see METER_TYPES guide.aspectRatio)
+     */
+    setMeter(meter) {
+        this.aspectRatio = meter?.guide?.aspectRatio || 3;
+        this.element.style.borderColor = meter?.color || '';
+        this.layout();
+    }
+
+    show(visible) {
+        this.element.classList.toggle('hidden', !visible);
+    }
+
+    layout() {
+        const { width: viewWidth, height: viewHeight } = this.video.getBoundingClientRect();
+        if (!viewWidth || !viewHeight) return;
+
+        let width = viewWidth * this.WIDTH_RATIO;
+        let height = width / this.aspectRatio;
+
+        if (height > viewHeight * this.MAX_HEIGHT_RATIO) {
+            height = viewHeight * this.MAX_HEIGHT_RATIO;
+            width = height * this.aspectRatio;
+        }
+
+        this.rect = {
+            left: (viewWidth - width) / 2,
+            top: (viewHeight - height) / 2,
+            width: width,
+            height: height
+        };
+
+        Object.assign(this.element.style, {
+            left: `${this.rect.left}px`,
+            top: `${this.rect.top}px`,
+            width: `${this.rect.width}px`,
+            height: `${this.rect.height}px`
+        });
+    }
+
+    /**
+     * The guide box in video pixels. The video is shown with object-fit: cover,
+     * so the visible part is scaled up and centred.
+     * @returns {{x: number, y: number, width: number, height: number}|null}
+     */
+    getVideoRegion() {
+        const videoWidth = this.video.videoWidth;
+        const videoHeight = this.video.videoHeight;
+        if (!videoWidth || !videoHeight || !this.rect) return null;
+
+        const { width: viewWidth, height: viewHeight } = this.video.getBoundingClientRect();
+        if (!viewWidth || !viewHeight) return null;
+
+        const scale = Math.max(viewWidth / videoWidth, viewHeight / videoHeight);
+        const offsetX = (videoWidth * scale - viewWidth) / 2;
+        const offsetY = (videoHeight * scale - viewHeight) / 2;
+
+        const x = Math.max(0, Math.round((this.rect.left + offsetX) / scale));
+        const y = Math.max(0, Math.round((this.rect.top + offsetY) / scale));
+
+        return {
+            x: x,
+            y: y,
+            width: Math.min(videoWidth - x, Math.round(this.rect.width / scale)),
+            height: Math.min(videoHeight - y, Math.round(this.rect.height / scale))
+        };
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * telegram-theme.js
+ * Maps Telegram's theme colours onto the CSS variables in style.css, so the app
+ * follows light and dark clients and updates when the user switches theme.
+ */
+
+// themeParams key -> CSS variable
+const THEME_VARIABLES = {
+    bg_color: '--bg-color',
+    secondary_bg_color: '--surface-color',
+    text_color: '--text-primary',
+    hint_color: '--text-secondary',
+    button_color: '--primary-color',
+    button_text_color: '--button-text-color',
+    accent_text_color: '--accent-color'
+};
+
+export function applyTelegramTheme(tg) {
+    const root = document.documentElement;
+    const params = tg.themeParams || {};
+
+    Object.entries(THEME_VARIABLES).forEach(([key, variable]) => {
+        if (params[key]) {
+            root.style.setProperty(variable, params[key]);
+        } else {
+            root.style.removeProperty(variable); // Keep the stylesheet default
+        }
+    });
+
+    // Glass surfaces and borders depend on light vs dark, see style.css
+    root.dataset.colorScheme = tg.colorScheme || 'dark';
+
+    // Telegram's own header and background around the app
+    try {
+        if (tg.setHeaderColor) tg.setHeaderColor('bg_color');
+        if (tg.setBackgroundColor && params.bg_color) tg.setBackgroundColor(params.bg_color);
+    } catch (error) {
+        // Not supported by older clients
+    }
+}
+
+/**
+ * Apply the current theme and follow themeChanged
+ */
+export function watchTelegramTheme(tg) {
+    applyTelegramTheme(tg);
+    tg.onEvent('themeChanged', () => applyTelegramTheme(tg));
+}